@@ -0,0 +1,95 @@
+// src/config/policies.js
+// Declarative permission table: action → who may perform it
+//
+// - roles:     roles allowed (super-admins are always allowed)
+// - scoped:    leads / co-managers must manage the target department(s)
+// - ownOnly:   roles limited to targets they own (others pass as owners too,
+//              or through their department scope)
+// - self:      a user may always act on their own account
+// - apiKeyScope: API key scope needed to use the action with an API key
+//              (actions without one are reserved to logged-in users)
+//
+// Routes enforce these with authorize(action, ...context) from authMiddleware.js
+// and GET /auth/me/permissions exposes them to the frontend.
+
+const ALL_ROLES = ["visitor", "member", "lead", "co-manager"];
+const CONTRIBUTORS = ["member", "lead", "co-manager"];
+
+const policies = {
+  // Departments
+  "department:read": { roles: ALL_ROLES, apiKeyScope: "departments:read" },
+  "department:create": { roles: ["co-manager"], apiKeyScope: "departments:write" },
+  "department:update": { roles: ["co-manager"], scoped: true, apiKeyScope: "departments:write" },
+  "department:delete": { roles: ["co-manager"], scoped: true, apiKeyScope: "departments:write" },
+  "department:archive": { roles: ["co-manager"], scoped: true, apiKeyScope: "departments:write" },
+
+  // Folders
+  "folder:read": { roles: ALL_ROLES, apiKeyScope: "folders:read" },
+  "folder:create": { roles: ["lead", "co-manager"], scoped: true, apiKeyScope: "folders:write" },
+  "folder:update": { roles: ["lead", "co-manager"], scoped: true, apiKeyScope: "folders:write" },
+  "folder:delete": { roles: ["lead", "co-manager"], scoped: true, apiKeyScope: "folders:write" },
+  "folder:archive": { roles: ["lead", "co-manager"], scoped: true, apiKeyScope: "folders:write" },
+  "folder:move": { roles: ["lead", "co-manager"], scoped: true, apiKeyScope: "folders:write" },
+
+  // Resources (public listings need no authentication at all)
+  "resource:read": { roles: ALL_ROLES, apiKeyScope: "resources:read" },
+  "resource:create": { roles: CONTRIBUTORS, scoped: true, apiKeyScope: "resources:write" },
+  "resource:update": {
+    roles: CONTRIBUTORS,
+    scoped: true,
+    ownOnly: ["member"],
+    apiKeyScope: "resources:write",
+  },
+  "resource:delete": {
+    roles: CONTRIBUTORS,
+    scoped: true,
+    ownOnly: ["member"],
+    apiKeyScope: "resources:write",
+  },
+  "resource:moderate": { roles: ["lead", "co-manager"], scoped: true, apiKeyScope: "resources:write" },
+  "resource:trash": { roles: CONTRIBUTORS, scoped: true, apiKeyScope: "resources:read" },
+  "resource:restore": {
+    roles: CONTRIBUTORS,
+    scoped: true,
+    ownOnly: ["member"],
+    apiKeyScope: "resources:write",
+  },
+  "resource:purge": { roles: ["co-manager"], scoped: true, apiKeyScope: "resources:write" },
+  "resource:bulk": { roles: CONTRIBUTORS, apiKeyScope: "resources:write" }, // + per-item checks
+  "resource:import": { roles: CONTRIBUTORS, apiKeyScope: "resources:write" }, // + per-row checks
+  "resource:export": { roles: ALL_ROLES, apiKeyScope: "resources:read" }, // CSV / JSON
+  "resource:export-files": { roles: CONTRIBUTORS, apiKeyScope: "resources:read" }, // ZIP
+  "resource:favorite": { roles: ALL_ROLES },
+
+  // Raw uploads
+  "upload:create": { roles: CONTRIBUTORS, apiKeyScope: "uploads:write" },
+  "upload:delete": { roles: CONTRIBUTORS, ownOnly: ["member", "lead"], apiKeyScope: "uploads:write" },
+  "upload:stats": { roles: ["co-manager"], apiKeyScope: "uploads:read" },
+
+  // Users
+  "user:list": { roles: ["co-manager"], apiKeyScope: "users:read" },
+  "user:create": { roles: ["co-manager"] },
+  "user:read": { roles: ["co-manager"], self: true, apiKeyScope: "users:read" },
+  "user:update": { roles: ["co-manager"] },
+  "user:update-password": { roles: ["co-manager"] },
+  "user:delete": { roles: ["co-manager"] },
+  "user:stats": { roles: ["co-manager"], apiKeyScope: "users:read" },
+  "user:resources": { roles: ["co-manager"], self: true, apiKeyScope: "users:read" },
+  "user:login-history": { roles: ["co-manager"], self: true },
+  "user:unlock": { roles: ["co-manager"] },
+  "user:assign-departments": { roles: [] }, // super-admin only
+
+  // Onboarding
+  "role-request:create": { roles: ["visitor"] },
+  "role-request:review": { roles: ["co-manager"], scoped: true },
+  "invite:manage": { roles: ["co-manager"], scoped: true },
+
+  // API keys
+  "api-key:create": { roles: ALL_ROLES },
+  "api-key:manage-service": { roles: ["co-manager"] },
+
+  // Maintenance (counters reconciliation...)
+  "admin:maintenance": { roles: [] }, // super-admin only
+};
+
+export default policies;
@@ -0,0 +1,38 @@
+// src/controllers/adminController.js
+// Maintenance endpoints for super-admins
+
+import asyncHandler from "../middleware/asyncHandler.js";
+import { reconcileCounters } from "../utils/counters.js";
+
+// ============================================
+// @desc    Compare stored counters with the actual data (read-only)
+// @route   GET /api/admin/counters
+// @access  Private/Super-Admin
+// ============================================
+export const checkCounters = asyncHandler(async (req, res) => {
+  const report = await reconcileCounters({ fix: false });
+
+  res.status(200).json({
+    success: true,
+    message:
+      report.discrepancies.length === 0
+        ? "All counters are accurate"
+        : `${report.discrepancies.length} counter(s) out of sync`,
+    data: report,
+  });
+});
+
+// ============================================
+// @desc    Recompute stored counters and report what was wrong
+// @route   POST /api/admin/counters/reconcile
+// @access  Private/Super-Admin
+// ============================================
+export const fixCounters = asyncHandler(async (req, res) => {
+  const report = await reconcileCounters({ fix: true });
+
+  res.status(200).json({
+    success: true,
+    message: `${report.fixed} of ${report.discrepancies.length} counter(s) out of sync fixed`,
+    data: report,
+  });
+});
@@ -0,0 +1,158 @@
+// src/controllers/apiKeyController.js
+// API keys for bots and integrations (Discord bot, chapter website...)
+// - Any user can create personal keys acting as themselves
+// - Co-managers create and manage service keys
+// - The raw key is only returned once, at creation
+
+import ApiKey, { API_KEY_SCOPES } from "../models/ApiKey.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { can, isSuperAdmin } from "../utils/permissions.js";
+
+// Default and maximum lifetime of a key, in days
+const DEFAULT_KEY_DAYS = 90;
+const MAX_KEY_DAYS = 365;
+
+// Active keys a single user may hold
+const MAX_ACTIVE_KEYS = 10;
+
+/**
+ * Check if the user may manage (list / revoke) a key
+ * @param {Object} user - Authenticated user
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Boolean}
+ */
+const canManageKey = (user, apiKey) => {
+  if (apiKey.type === "service") return can(user, "api-key:manage-service");
+  return isSuperAdmin(user) || apiKey.user.toString() === user._id.toString();
+};
+
+// ============================================
+// @desc    Create an API key (the key is only shown in this response)
+// @route   POST /api/api-keys
+// @access  Private (service keys: Co-Manager)
+// ============================================
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { name, type = "personal", scopes, expiresInDays } = req.body;
+
+  if (!name?.trim()) {
+    res.status(400);
+    throw new Error("Key name is required");
+  }
+
+  if (!["personal", "service"].includes(type)) {
+    res.status(400);
+    throw new Error("Key type must be personal or service");
+  }
+
+  if (type === "service" && !can(req.user, "api-key:manage-service")) {
+    res.status(403);
+    throw new Error("Only co-managers can create service keys");
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    res.status(400);
+    throw new Error(`At least one scope is required (${API_KEY_SCOPES.join(", ")})`);
+  }
+
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    res.status(400);
+    throw new Error(`Unknown scopes: ${unknown.join(", ")}`);
+  }
+
+  const days = parseInt(expiresInDays) || DEFAULT_KEY_DAYS;
+  if (days < 1 || days > MAX_KEY_DAYS) {
+    res.status(400);
+    throw new Error(`API keys must expire within 1 to ${MAX_KEY_DAYS} days`);
+  }
+
+  const activeKeys = await ApiKey.countDocuments({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (activeKeys >= MAX_ACTIVE_KEYS) {
+    res.status(400);
+    throw new Error(`You can't have more than ${MAX_ACTIVE_KEYS} active API keys`);
+  }
+
+  const { key, prefix, keyHash } = ApiKey.generate();
+
+  const apiKey = await ApiKey.create({
+    name: name.trim(),
+    type,
+    user: req.user._id,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "API key created. Copy it now, it won't be shown again.",
+    data: {
+      ...apiKey.toJSON(),
+      key,
+    },
+  });
+});
+
+// ============================================
+// @desc    Get own API keys, or all service keys
+// @route   GET /api/api-keys?type=service
+// @access  Private (service keys: Co-Manager)
+// ============================================
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const { type } = req.query;
+
+  let query;
+  if (type === "service") {
+    if (!can(req.user, "api-key:manage-service")) {
+      res.status(403);
+      throw new Error("Only co-managers can list service keys");
+    }
+    query = { type: "service" };
+  } else {
+    query = { user: req.user._id, type: "personal" };
+  }
+
+  const apiKeys = await ApiKey.find(query)
+    .populate("user", "name email")
+    .populate("revokedBy", "name")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys,
+  });
+});
+
+// ============================================
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private (owner; service keys: Co-Manager)
+// ============================================
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey || !canManageKey(req.user, apiKey)) {
+    res.status(404);
+    throw new Error("API key not found");
+  }
+
+  if (apiKey.revokedAt) {
+    res.status(400);
+    throw new Error("API key is already revoked");
+  }
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.user._id;
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked successfully",
+  });
+});
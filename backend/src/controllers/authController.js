@@ -1,54 +1,258 @@
-import User from "../models/User.js";
+import jwt from "jsonwebtoken";
+import User, { PASSWORD_RESET_EXPIRE_MINUTES } from "../models/User.js";
+import Session from "../models/Session.js";
+import Invite from "../models/Invite.js";
 import asyncHandler from "../middleware/asyncHandler.js";
-import { generateToken } from "../utils/tokenGenerator.js";
+import {
+  generateTokenPair,
+  generateEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyToken,
+} from "../utils/tokenGenerator.js";
+import { sendMail } from "../utils/mailer.js";
+import { assertLoginAllowed, auditLogin, registerFailedCheck } from "../utils/loginAttempts.js";
+import { SCOPED_ROLES, getPermissions, isTwoFactorRequired } from "../utils/permissions.js";
+import {
+  clientUrl,
+  passwordResetEmail,
+  emailVerificationEmail,
+} from "../utils/emailTemplates.js";
+
+// Minimum delay between two verification emails for the same user
+const VERIFICATION_RESEND_COOLDOWN_MS =
+  (parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN) || 60) * 1000;
+
+/**
+ * Issue a token pair bound to a session and store the refresh token hash
+ * @param {Object} session - Session document (new or existing)
+ * @param {Object} user - User the tokens are issued for
+ * @returns {Object} { accessToken, refreshToken }
+ */
+const issueTokens = async (session, user) => {
+  const tokens = generateTokenPair(user._id, user.role, session._id);
+
+  session.refreshTokenHash = Session.hashToken(tokens.refreshToken);
+  session.expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000);
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return tokens;
+};
+
+/**
+ * Replace the refresh token of a session, only if it still holds the one
+ * presented: of two refreshes racing with the same token, one wins
+ * @param {Object} session - Session document
+ * @param {Object} user - User the tokens are issued for
+ * @param {String} presentedToken - Refresh token sent by the client
+ * @returns {Object|null} { accessToken, refreshToken }, null when the token was already rotated
+ */
+const rotateTokens = async (session, user, presentedToken) => {
+  const tokens = generateTokenPair(user._id, user.role, session._id);
+
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: Session.hashToken(presentedToken),
+      revokedAt: null,
+    },
+    {
+      refreshTokenHash: Session.hashToken(tokens.refreshToken),
+      expiresAt: new Date(jwt.decode(tokens.refreshToken).exp * 1000),
+      lastUsedAt: new Date(),
+      $inc: { rotationCount: 1 },
+    }
+  );
+
+  return rotated ? tokens : null;
+};
+
+/**
+ * Start a new session for a user (one per login / device)
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request (for device info)
+ * @returns {Object} { accessToken, refreshToken }
+ */
+const startSession = (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip,
+  });
+
+  return issueTokens(session, user);
+};
+
+/**
+ * Store a new password reset token and email its link
+ * The token is dropped again if the email could not be sent.
+ * @param {Object} user - User document
+ */
+const sendPasswordResetEmail = async (user) => {
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail(
+        user,
+        clientUrl("/reset-password", resetToken),
+        PASSWORD_RESET_EXPIRE_MINUTES
+      ),
+    });
+  } catch (err) {
+    // Don't leave a usable token behind if the email never left
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw err;
+  }
+};
+
+/**
+ * Send a signed verification link to the user's current email
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user._id, user.email);
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail(user, clientUrl("/verify-email", token)),
+  });
+
+  user.emailVerificationSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+};
 
 /**
  * @route POST /api/v1/auth/register
- * @desc Register new user (default role = visitor)
+ * @desc Register new user (default role = visitor, or the invite's role)
  * @access Public
  */
 export const register = asyncHandler(async (req, res) => {
-  const { name, email, password, department } = req.body;
+  const { name, email, password, department, inviteCode } = req.body;
 
   if (!name || !email || !password) {
     res.status(400);
     throw new Error("Name, email, and password are required");
   }
 
+  if (
+    [name, email, password].some((value) => typeof value !== "string") ||
+    (inviteCode && typeof inviteCode !== "string")
+  ) {
+    res.status(400);
+    throw new Error("Name, email, password and inviteCode must be strings");
+  }
+
   const existing = await User.findOne({ email: email.toLowerCase() });
   if (existing) {
     res.status(400);
     throw new Error("User with this email already exists");
   }
 
+  // An invite decides role and department; consume one use up-front
+  let invite = null;
+  if (inviteCode) {
+    invite = await Invite.claim(inviteCode.trim(), email);
+    if (!invite) {
+      res.status(400);
+      throw new Error("Invite is invalid, expired or already used");
+    }
+  }
+
   // Default role: visitor (self-registration)
-  const user = await User.create({
-    name: name.trim(),
-    email: email.toLowerCase(),
-    password,
-    role: "visitor",
-    department: department || null,
-  });
+  let user;
+  try {
+    user = await User.create({
+      name: name.trim(),
+      email: email.toLowerCase(),
+      password,
+      role: invite ? invite.role : "visitor",
+      department: invite ? invite.department : department || null,
+      // Leads / co-managers invited to a department manage it
+      managedDepartments:
+        invite && SCOPED_ROLES.includes(invite.role) ? [invite.department] : [],
+    });
+  } catch (err) {
+    // Give the use back if the account could not be created
+    if (invite) {
+      await Invite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+    }
+    throw err;
+  }
+
+  if (invite) {
+    await Invite.updateOne(
+      { _id: invite._id },
+      { $push: { usedBy: { user: user._id, usedAt: new Date() } } }
+    );
+  }
 
   user.lastLogin = new Date();
   await user.save();
 
-  // Generate token including role
-  const token = generateToken(user._id, user.role);
+  // Registration succeeds even if the mail server is down (user can resend)
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    console.error("Verification email failed:", err.message);
+  }
+
+  // Generate token pair including role
+  const { accessToken, refreshToken } = await startSession(user, req);
 
   res.status(201).json({
     success: true,
-    message: "User registered successfully as a Visitor",
+    message: invite
+      ? `User registered successfully as a ${user.role} through an invite`
+      : "User registered successfully as a Visitor",
     data: {
       user: await User.findById(user._id).select("-password"),
-      token,
+      token: accessToken,
+      refreshToken,
     },
   });
 });
 
+/**
+ * Finish a successful login: reset counters, audit, open a session, respond
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user
+ */
+const completeLogin = async (req, res, user) => {
+  user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save();
+
+  await auditLogin(req, { user: user._id, email: user.email, success: true });
+
+  // Generate token pair including role
+  const { accessToken, refreshToken } = await startSession(user, req);
+
+  const userSafe = await User.findById(user._id).select("-password");
+
+  // Co-managers must enrol before they can use their role (see authorize)
+  const twoFactorSetupRequired = isTwoFactorRequired(user) && !user.twoFactorEnabled;
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: userSafe,
+      token: accessToken,
+      refreshToken,
+      ...(twoFactorSetupRequired && { twoFactorSetupRequired }),
+    },
+  });
+};
+
 /**
  * @route POST /api/v1/auth/login
- * @desc Login user (returns token with role)
+ * @desc Login user (returns token with role, or a 2FA challenge)
  * @access Public
  */
 export const login = asyncHandler(async (req, res) => {
@@ -59,31 +263,89 @@ export const login = asyncHandler(async (req, res) => {
     throw new Error("Email and password are required");
   }
 
-  const user = await User.findOne({ email: email.toLowerCase() }).select("+password");
+  const normalizedEmail = email.toLowerCase();
+
+  const user = await User.findOne({ email: normalizedEmail }).select("+password");
   if (!user) {
+    await auditLogin(req, { email: normalizedEmail, success: false, reason: "unknown-user" });
     res.status(401);
     throw new Error("Invalid credentials");
   }
 
+  // Locked account or progressive delay still running
+  await assertLoginAllowed(req, res, user);
+
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
+    await registerFailedCheck(req, user, "invalid-password");
     res.status(401);
     throw new Error("Invalid credentials");
   }
 
-  user.lastLogin = new Date();
-  await user.save();
+  // Parallel wrong attempts may have locked the account meanwhile
+  await assertLoginAllowed(req, res, user, { reload: true });
 
-  // Generate token including role
-  const token = generateToken(user._id, user.role);
+  // Password is right but a second factor is needed
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication required",
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user._id, user.role),
+      },
+    });
+  }
 
-  const userSafe = await User.findById(user._id).select("-password");
+  await completeLogin(req, res, user);
+});
 
-  res.status(200).json({
-    success: true,
-    message: "Login successful",
-    data: { user: userSafe, token },
-  });
+/**
+ * @route POST /api/v1/auth/login/2fa
+ * @desc Second login step: challenge token + TOTP code (or recovery code)
+ * @access Public
+ */
+export const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    res.status(400);
+    throw new Error("Challenge token and a code (or recovery code) are required");
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch (err) {
+    res.status(401);
+    throw new Error("Login challenge expired, please log in again");
+  }
+
+  if (decoded.type !== "2fa-challenge") {
+    res.status(401);
+    throw new Error("Invalid challenge token");
+  }
+
+  const user = await User.findById(decoded.id).select(
+    "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep"
+  );
+  if (!user || !user.twoFactorEnabled) {
+    res.status(401);
+    throw new Error("Invalid challenge token");
+  }
+
+  await assertLoginAllowed(req, res, user);
+
+  const method = user.verifyTwoFactor({ code, recoveryCode });
+  if (!method) {
+    await registerFailedCheck(req, user, "invalid-2fa");
+    res.status(401);
+    throw new Error("Invalid authentication code");
+  }
+
+  await assertLoginAllowed(req, res, user, { reload: true });
+
+  await completeLogin(req, res, user);
 });
 
 /**
@@ -106,3 +368,330 @@ export const getMe = asyncHandler(async (req, res) => {
     data: user,
   });
 });
+
+/**
+ * @route GET /api/v1/auth/me/permissions
+ * @desc What the current user may do (one entry per policy action)
+ * @access Private
+ */
+export const getMyPermissions = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      role: req.user.role,
+      managedDepartments: req.user.managedDepartments || [],
+      twoFactorSetupRequired: isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled,
+      permissions: getPermissions(req.user),
+    },
+  });
+});
+
+/**
+ * @route POST /api/v1/auth/refresh
+ * @desc Exchange a refresh token for a new token pair (rotation)
+ * @access Public
+ */
+export const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    res.status(400);
+    throw new Error("Refresh token is required");
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (err) {
+    res.status(401);
+    throw new Error("Invalid or expired refresh token");
+  }
+
+  if (decoded.type !== "refresh" || !decoded.sid) {
+    res.status(401);
+    throw new Error("Invalid refresh token");
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isValid()) {
+    res.status(401);
+    throw new Error("Session expired or revoked, please log in again");
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await session.revoke("revoked");
+    res.status(401);
+    throw new Error("User not found or deactivated");
+  }
+
+  // A valid but already-rotated token means it was stolen: kill the family
+  const tokens = await rotateTokens(session, user, refreshToken);
+  if (!tokens) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "reuse-detected" }
+    );
+    res.status(401);
+    throw new Error("Refresh token reuse detected, session revoked");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Token refreshed",
+    data: { token: tokens.accessToken, refreshToken: tokens.refreshToken },
+  });
+});
+
+/**
+ * @route POST /api/v1/auth/logout
+ * @desc Revoke the current session (or every session with { allDevices: true })
+ * @access Private
+ */
+export const logout = asyncHandler(async (req, res) => {
+  const { allDevices } = req.body;
+
+  if (allDevices) {
+    await Session.revokeAllForUser(req.user._id, "logout");
+  } else if (req.sessionId) {
+    await Session.updateOne(
+      { _id: req.sessionId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "logout" }
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: allDevices ? "Logged out from all devices" : "Logged out successfully",
+  });
+});
+
+/**
+ * @route GET /api/v1/auth/sessions
+ * @desc List active sessions (devices) of the current user
+ * @access Private
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+/**
+ * @route DELETE /api/v1/auth/sessions/:id
+ * @desc Revoke one of the current user's sessions (e.g. a stolen device)
+ * @access Private
+ */
+export const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!session || !session.isValid()) {
+    res.status(404);
+    throw new Error("Session not found");
+  }
+
+  await session.revoke("revoked");
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked successfully",
+  });
+});
+
+/**
+ * @route POST /api/v1/auth/forgot-password
+ * @desc Email a one-time password reset link
+ * @access Public
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== "string") {
+    res.status(400);
+    throw new Error("Email is required");
+  }
+
+  // Same answer whether or not the account exists (no email enumeration)
+  const genericResponse = {
+    success: true,
+    message: "If an account exists for this email, a reset link has been sent",
+  };
+
+  // The token and email are handled in the background: waiting for SMTP only
+  // when the account exists would reveal it (timing, or a 500 on mail failure)
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (user && user.isActive) {
+    sendPasswordResetEmail(user).catch((err) =>
+      console.error("Password reset email failed:", err.message)
+    );
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+/**
+ * @route POST /api/v1/auth/reset-password
+ * @desc Set a new password using a reset token (single use)
+ * @access Public
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    res.status(400);
+    throw new Error("Token and new password are required");
+  }
+
+  if (password.length < 6) {
+    res.status(400);
+    throw new Error("New password must be at least 6 characters");
+  }
+
+  const user = await User.findOne({
+    passwordResetToken: User.hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+passwordResetToken +passwordResetExpires");
+
+  if (!user) {
+    res.status(400);
+    throw new Error("Reset token is invalid or has expired");
+  }
+
+  // Consume the token and update password (hashed by pre-save hook)
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  // Log out every device that used the old password
+  await Session.revokeAllForUser(user._id, "password-changed");
+
+  res.status(200).json({
+    success: true,
+    message: "Password has been reset, please log in with your new password",
+  });
+});
+
+/**
+ * @route POST /api/v1/auth/verify-email
+ * @desc Confirm an email address with the signed token from the email
+ * @access Public
+ */
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    res.status(400);
+    throw new Error("Verification token is required");
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (err) {
+    res.status(400);
+    throw new Error("Verification link is invalid or has expired");
+  }
+
+  if (decoded.type !== "email-verification") {
+    res.status(400);
+    throw new Error("Invalid verification token");
+  }
+
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    res.status(400);
+    throw new Error("Verification link is invalid or has expired");
+  }
+
+  // Confirming a new address (PUT /auth/me/email)
+  if (user.pendingEmail && user.pendingEmail === decoded.email) {
+    const taken = await User.exists({ email: decoded.email, _id: { $ne: user._id } });
+    if (taken) {
+      res.status(400);
+      throw new Error("This email address is already in use");
+    }
+
+    // Reset links sent to the old address die with it
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    user.isEmailVerified = true;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({
+      success: true,
+      message: "Email address changed successfully",
+    });
+  }
+
+  // Links sent to a previous address are no longer valid
+  if (user.email !== decoded.email) {
+    res.status(400);
+    throw new Error("Verification link is invalid or has expired");
+  }
+
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully",
+  });
+});
+
+/**
+ * @route POST /api/v1/auth/verify-email/resend
+ * @desc Send a new verification link (throttled)
+ * @access Private
+ */
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  if (user.isEmailVerified) {
+    res.status(400);
+    throw new Error("Email is already verified");
+  }
+
+  const lastSent = user.emailVerificationSentAt?.getTime() || 0;
+  const waitMs = lastSent + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+
+  if (waitMs > 0) {
+    res.set("Retry-After", Math.ceil(waitMs / 1000).toString());
+    res.status(429);
+    throw new Error(
+      `Please wait ${Math.ceil(waitMs / 1000)}s before requesting another email`
+    );
+  }
+
+  await sendVerificationEmail(user);
+
+  res.status(200).json({
+    success: true,
+    message: "Verification email sent",
+  });
+});
@@ -5,9 +5,13 @@
 // - Resource count tracking
 
 import Department from "../models/Department.js";
+import ArchiveBatch from "../models/ArchiveBatch.js";
 import Resource from "../models/Resource.js";
+import User from "../models/User.js";
 import mongoose from "mongoose";
 import asyncHandler from "../middleware/asyncHandler.js";
+import { SCOPED_ROLES } from "../utils/permissions.js";
+import { archiveDepartment as archiveDepartmentTree, restoreArchiveBatch } from "../utils/archive.js";
 
 // ============================================
 // @desc    Create a new department
@@ -44,6 +48,13 @@ export const createDepartment = asyncHandler(async (req, res) => {
     color: color || "#3B82F6",
   });
 
+  // A co-manager manages the departments they create
+  if (SCOPED_ROLES.includes(req.user.role)) {
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { managedDepartments: department._id },
+    });
+  }
+
   res.status(201).json({
     success: true,
     message: "Department created successfully",
@@ -101,15 +112,6 @@ export const getDepartment = asyncHandler(async (req, res) => {
     throw new Error("Department not found");
   }
 
-  // Update resource count
-  const resourceCount = await Resource.countDocuments({
-    department: department._id,
-    isActive: true,
-  });
-
-  department.resourceCount = resourceCount;
-  await department.save();
-
   res.status(200).json({
     success: true,
     data: department,
@@ -199,6 +201,95 @@ export const deleteDepartment = asyncHandler(async (req, res) => {
   });
 });
 
+// ============================================
+// @desc    Archive a department with its folders & resources (undoable)
+// @route   POST /api/departments/:id/archive
+// @access  Private/Co-Manager
+// ============================================
+export const archiveDepartment = asyncHandler(async (req, res) => {
+  const department = await Department.findById(req.params.id);
+
+  if (!department) {
+    res.status(404);
+    throw new Error("Department not found");
+  }
+
+  if (!department.isActive) {
+    res.status(400);
+    throw new Error("Department is already archived or deleted");
+  }
+
+  const batch = await archiveDepartmentTree(department, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Department archived with its folders and resources",
+    data: {
+      batch: batch._id,
+      archived: batch.counts,
+    },
+  });
+});
+
+// ============================================
+// @desc    Restore an archived department with what was archived with it
+// @route   POST /api/departments/:id/restore
+// @access  Private/Co-Manager
+// ============================================
+export const restoreDepartment = asyncHandler(async (req, res) => {
+  const department = await Department.findById(req.params.id);
+
+  if (!department) {
+    res.status(404);
+    throw new Error("Department not found");
+  }
+
+  const batch = department.archiveBatch && (await ArchiveBatch.findById(department.archiveBatch));
+
+  if (department.isActive || !batch || batch.status !== "archived") {
+    res.status(400);
+    throw new Error("Department is not archived");
+  }
+
+  const restored = await restoreArchiveBatch(batch, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Department restored with its folders and resources",
+    data: {
+      batch: batch._id,
+      restored,
+    },
+  });
+});
+
+// ============================================
+// @desc    Get the archive history of a department (department & folder archives)
+// @route   GET /api/departments/:id/archives?status=archived
+// @access  Private/Co-Manager
+// ============================================
+export const getDepartmentArchives = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const query = { department: req.params.id };
+  if (status && status !== "all") {
+    query.status = status;
+  }
+
+  const batches = await ArchiveBatch.find(query)
+    .select("-resources")
+    .populate("folder", "name")
+    .populate("archivedBy", "name email")
+    .populate("restoredBy", "name email")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: batches.length,
+    data: batches,
+  });
+});
+
 // ============================================
 // @desc    Get department statistics
 // @route   GET /api/departments/:id/stats
@@ -1,14 +1,48 @@
 import Folder from "../models/Folder.js";
 import Resource from "../models/Resource.js";
 import Department from "../models/Department.js";
+import ArchiveBatch from "../models/ArchiveBatch.js";
 import mongoose from "mongoose";
+import { archiveFolder as archiveFolderTree, restoreArchiveBatch } from "../utils/archive.js";
+import {
+  pathUnder,
+  placementError,
+  moveFolder as reparentFolder,
+  descendantIds,
+  directResourceCounts,
+  buildFolderTree,
+  breadcrumbsOf,
+} from "../utils/folderTree.js";
+import { applyOrder } from "../utils/ordering.js";
+import { withTransaction } from "../utils/transaction.js";
+import { CONFLICT_STRATEGIES, availableName, moveFolderTo, copyFolderTo } from "../utils/folderTransfer.js";
+
+/**
+ * Load the parent folder given in a request ("" or null means the root)
+ * @returns {{ parent: Object|null, error: { status, message }|null }}
+ */
+const findParent = async (parentId) => {
+  if (!parentId) return { parent: null, error: null };
+
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return { parent: null, error: { status: 400, message: "Invalid parent folder ID" } };
+  }
+
+  const parent = await Folder.findById(parentId);
+  if (!parent || !parent.isActive) {
+    return { parent: null, error: { status: 404, message: "Parent folder not found" } };
+  }
+
+  return { parent, error: null };
+};
 
 /**
  * ✅ Create a new folder
  */
 export const createFolder = async (req, res) => {
   try {
-    const { name, slug, description, department, color, icon, createdBy, order } = req.body;
+    const { name, slug, description, department, parent: parentId, color, icon, createdBy, order } =
+      req.body;
 
     console.log("📁 Creating folder:", name);
 
@@ -44,17 +78,37 @@ export const createFolder = async (req, res) => {
       });
     }
 
-    // Check if folder with same name already exists in this department
+    // Optional parent folder (sub-folder)
+    const { parent, error: parentError } = await findParent(parentId);
+    if (parentError) {
+      return res.status(parentError.status).json({
+        success: false,
+        message: parentError.message,
+      });
+    }
+
+    const placement = await placementError({ department: department.trim(), parent });
+    if (placement) {
+      return res.status(400).json({
+        success: false,
+        message: placement,
+      });
+    }
+
+    // Check if folder with same name already exists at this level
     const existingFolder = await Folder.findOne({
       name: name.trim(),
       department: department.trim(),
+      parent: parent ? parent._id : null,
       isActive: true,
     });
 
     if (existingFolder) {
       return res.status(400).json({
         success: false,
-        message: "Folder with this name already exists in this department",
+        message: parent
+          ? "Folder with this name already exists in this parent folder"
+          : "Folder with this name already exists in this department",
       });
     }
 
@@ -72,6 +126,7 @@ export const createFolder = async (req, res) => {
       slug: slug ? slug.trim() : undefined, // Will auto-generate if not provided
       description: description ? description.trim() : "",
       department: department.trim(),
+      ...pathUnder(parent),
       color: color || "#3B82F6",
       icon: icon || "📁",
       createdBy: createdBy && createdBy.trim() ? createdBy.trim() : null,
@@ -111,7 +166,7 @@ export const createFolder = async (req, res) => {
  */
 export const getFolders = async (req, res) => {
   try {
-    const { department, search, isActive = true } = req.query;
+    const { department, parent, search, isActive = true } = req.query;
 
     console.log("🔍 Fetching folders...");
 
@@ -132,6 +187,17 @@ export const getFolders = async (req, res) => {
       query.department = department;
     }
 
+    // ?parent=root for top-level folders, ?parent=<id> for sub-folders of one folder
+    if (parent) {
+      if (parent !== "root" && !mongoose.Types.ObjectId.isValid(parent)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid parent folder ID",
+        });
+      }
+      query.parent = parent === "root" ? null : parent;
+    }
+
     if (search) {
       query.$text = { $search: search };
     }
@@ -189,7 +255,7 @@ export const getFoldersByDepartment = async (req, res) => {
       isActive: true,
     })
       .populate("createdBy", "name email")
-      .sort({ order: 1, name: 1 });
+      .sort({ depth: 1, order: 1, name: 1 });
 
     console.log(`✅ Found ${folders.length} folders`);
 
@@ -240,20 +306,20 @@ export const getFolder = async (req, res) => {
       });
     }
 
-    // Get resource count
-    const resourceCount = await Resource.countDocuments({
-      folder: id,
-      isActive: true,
-    });
-
-    folder.resourceCount = resourceCount;
-    await folder.save();
+    // Counts including sub-folders (resourceCount itself is maintained, see utils/counters.js)
+    const subFolders = await descendantIds(folder._id);
+    const counts = await directResourceCounts([folder._id, ...subFolders]);
+    const totalResourceCount = [...counts.values()].reduce((sum, count) => sum + count, 0);
 
     console.log("✅ Folder fetched");
 
     res.status(200).json({
       success: true,
-      data: folder,
+      data: {
+        ...folder.toObject(),
+        subFolderCount: subFolders.length,
+        totalResourceCount,
+      },
     });
   } catch (error) {
     console.error("❌ Error fetching folder:", error);
@@ -271,7 +337,7 @@ export const getFolder = async (req, res) => {
 export const updateFolder = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, slug, description, color, icon, order } = req.body;
+    const { name, slug, description, parent: parentId, color, icon, order } = req.body;
 
     console.log("✏️ Updating folder:", id);
 
@@ -291,11 +357,35 @@ export const updateFolder = async (req, res) => {
       });
     }
 
-    // Check if new name already exists in same department
-    if (name && name.trim() !== folder.name) {
+    // Moving under another parent (null or "" moves it to the root)
+    const moving = parentId !== undefined && String(parentId || null) !== String(folder.parent);
+    let parent = null;
+
+    if (moving) {
+      const found = await findParent(parentId);
+      if (found.error) {
+        return res.status(found.error.status).json({
+          success: false,
+          message: found.error.message,
+        });
+      }
+      parent = found.parent;
+
+      const placement = await placementError({ folder, department: folder.department, parent });
+      if (placement) {
+        return res.status(400).json({
+          success: false,
+          message: placement,
+        });
+      }
+    }
+
+    // Check if the name already exists at the folder's (new) level
+    if ((name && name.trim() !== folder.name) || moving) {
       const existingFolder = await Folder.findOne({
-        name: name.trim(),
+        name: name ? name.trim() : folder.name,
         department: folder.department,
+        parent: moving ? (parent ? parent._id : null) : folder.parent,
         isActive: true,
         _id: { $ne: id }, // Exclude current folder
       });
@@ -303,7 +393,7 @@ export const updateFolder = async (req, res) => {
       if (existingFolder) {
         return res.status(400).json({
           success: false,
-          message: "Folder with this name already exists in this department",
+          message: "Folder with this name already exists at this level",
         });
       }
     }
@@ -316,7 +406,12 @@ export const updateFolder = async (req, res) => {
     if (icon) folder.icon = icon;
     if (order !== undefined) folder.order = order;
 
-    await folder.save();
+    if (moving) {
+      const moved = await reparentFolder(folder, parent);
+      console.log(`📦 Folder moved with ${moved} sub-folders`);
+    } else {
+      await folder.save();
+    }
     await folder.populate([
       { path: "department", select: "name slug icon color" },
       { path: "createdBy", select: "name email" },
@@ -365,6 +460,15 @@ export const deleteFolder = async (req, res) => {
       });
     }
 
+    // Sub-folders must be moved or deleted first (or archive the whole folder)
+    const subFolderCount = await Folder.countDocuments({ parent: id, isActive: true });
+    if (subFolderCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete folder with ${subFolderCount} sub-folders. Please move or delete them first, or archive the folder.`,
+      });
+    }
+
     // Check if folder has resources
     const resourceCount = await Resource.countDocuments({
       folder: id,
@@ -389,18 +493,6 @@ export const deleteFolder = async (req, res) => {
           });
         }
 
-        // Move resources to target folder
-        await Resource.updateMany(
-          { folder: id, isActive: true },
-          { folder: moveResourcesTo }
-        );
-
-        console.log(`📦 Moved ${resourceCount} resources to folder: ${moveResourcesTo}`);
-
-        // Update resource counts
-        await Folder.findByIdAndUpdate(moveResourcesTo, {
-          $inc: { resourceCount: resourceCount },
-        });
       } else {
         return res.status(400).json({
           success: false,
@@ -409,13 +501,32 @@ export const deleteFolder = async (req, res) => {
       }
     }
 
-    // Soft delete folder
-    folder.isActive = false;
-    await folder.save();
+    // Move resources to target folder, soft delete folder and update counts
+    // in one transaction
+    await withTransaction(async (session) => {
+      if (resourceCount > 0) {
+        const { modifiedCount } = await Resource.updateMany(
+          { folder: id, isActive: true },
+          { folder: moveResourcesTo },
+          { session }
+        );
+        await Folder.updateOne(
+          { _id: moveResourcesTo },
+          { $inc: { resourceCount: modifiedCount } },
+          { session }
+        );
+        console.log(`📦 Moved ${modifiedCount} resources to folder: ${moveResourcesTo}`);
+      }
 
-    // Update department folder count
-    await Department.findByIdAndUpdate(folder.department, {
-      $inc: { folderCount: -1 },
+      folder.isActive = false;
+      folder.resourceCount = 0;
+      await folder.save({ session });
+
+      await Department.updateOne(
+        { _id: folder.department },
+        { $inc: { folderCount: -1 } },
+        { session }
+      );
     });
 
     console.log("✅ Folder deleted (soft delete)");
@@ -434,6 +545,355 @@ export const deleteFolder = async (req, res) => {
   }
 };
 
+// Longest list a single reorder request may send
+const MAX_REORDER_ITEMS = 500;
+
+/**
+ * Check the ID list of a reorder request
+ * @returns {String|null} What is wrong with it, or null
+ */
+const orderListError = (ids, field) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return `${field} must be a non-empty array of IDs`;
+  }
+  if (ids.length > MAX_REORDER_ITEMS) {
+    return `Cannot reorder more than ${MAX_REORDER_ITEMS} items at once`;
+  }
+  if (ids.some((id) => typeof id !== "string" || !mongoose.Types.ObjectId.isValid(id))) {
+    return `${field} contains an invalid ID`;
+  }
+  if (new Set(ids).size !== ids.length) {
+    return `${field} contains duplicate IDs`;
+  }
+  return null;
+};
+
+/**
+ * Resolve where a folder is moved / copied to (body: department, parent, onConflict)
+ * @returns {{ target: { department, parent, name, renamedFrom }|null, error: { status, message }|null }}
+ */
+const resolveTransferTarget = async (folder, body, { move }) => {
+  const { department = folder.department.toString(), parent: parentId = null, onConflict = "fail" } =
+    body;
+
+  if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+    return {
+      target: null,
+      error: { status: 400, message: `onConflict must be one of: ${CONFLICT_STRATEGIES.join(", ")}` },
+    };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(department)) {
+    return { target: null, error: { status: 400, message: "Invalid department ID" } };
+  }
+
+  const targetDepartment = await Department.findById(department);
+  if (!targetDepartment || !targetDepartment.isActive) {
+    return { target: null, error: { status: 404, message: "Target department not found" } };
+  }
+
+  const { parent, error } = await findParent(parentId);
+  if (error) return { target: null, error };
+
+  const placement = await placementError({ folder, department: targetDepartment._id, parent });
+  if (placement) return { target: null, error: { status: 400, message: placement } };
+
+  const sameParent = String(parent ? parent._id : null) === String(folder.parent);
+  if (move && sameParent && folder.department.equals(targetDepartment._id)) {
+    return { target: null, error: { status: 400, message: "The folder is already there" } };
+  }
+
+  const { name, conflict } = await availableName({
+    name: folder.name,
+    department: targetDepartment._id,
+    parent,
+    excludeId: move ? folder._id : undefined,
+  });
+
+  if (conflict && onConflict === "fail") {
+    return {
+      target: null,
+      error: {
+        status: 409,
+        message: `A folder named "${folder.name}" already exists there. Use onConflict: "rename" to keep both.`,
+      },
+    };
+  }
+
+  return {
+    target: {
+      department: targetDepartment._id,
+      parent,
+      name,
+      renamedFrom: conflict ? folder.name : undefined,
+    },
+    error: null,
+  };
+};
+
+/**
+ * 🚚 Move a folder (with its sub-folders and resources) to another department or parent
+ */
+export const moveFolder = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    console.log("🚚 Moving folder:", id);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid folder ID",
+      });
+    }
+
+    const folder = await Folder.findById(id);
+
+    if (!folder || !folder.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Folder not found",
+      });
+    }
+
+    const { target, error } = await resolveTransferTarget(folder, req.body, { move: true });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const from = { department: folder.department, parent: folder.parent };
+    const moved = await moveFolderTo(folder, target);
+
+    console.log(`✅ Moved ${moved.folders.length} folders and ${moved.resources.length} resources`);
+
+    res.status(200).json({
+      success: true,
+      message: `Folder moved with ${moved.folders.length - 1} sub-folders and ${moved.resources.length} resources`,
+      data: {
+        folder: folder._id,
+        name: folder.name,
+        renamedFrom: target.renamedFrom,
+        from,
+        to: { department: target.department, parent: target.parent ? target.parent._id : null },
+        folders: moved.folders,
+        resources: moved.resources,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error moving folder:", error);
+    res.status(error.code === 11000 ? 409 : 500).json({
+      success: false,
+      message: error.code === 11000 ? "A folder with this name was just created there" : "Error moving folder",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * 📑 Copy a folder (with its active sub-folders and resources) to a department or parent
+ */
+export const copyFolder = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    console.log("📑 Copying folder:", id);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid folder ID",
+      });
+    }
+
+    const folder = await Folder.findById(id);
+
+    if (!folder || !folder.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Folder not found",
+      });
+    }
+
+    const { target, error } = await resolveTransferTarget(folder, req.body, { move: false });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const copied = await copyFolderTo(folder, { ...target, userId: req.user._id });
+
+    console.log(`✅ Copied ${copied.folders.length} folders and ${copied.resources.length} resources`);
+
+    res.status(201).json({
+      success: true,
+      message: `Folder copied with ${copied.folders.length - 1} sub-folders and ${copied.resources.length} resources`,
+      data: {
+        folder: copied.folder,
+        name: target.name,
+        renamedFrom: target.renamedFrom,
+        copiedFrom: folder._id,
+        to: { department: target.department, parent: target.parent ? target.parent._id : null },
+        folders: copied.folders,
+        resources: copied.resources,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error copying folder:", error);
+    res.status(error.code === 11000 ? 409 : 500).json({
+      success: false,
+      message: error.code === 11000 ? "A folder with this name was just created there" : "Error copying folder",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * 🗄️ Archive a folder with its resources (undoable)
+ */
+export const archiveFolder = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    console.log("🗄️ Archiving folder:", id);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid folder ID",
+      });
+    }
+
+    const folder = await Folder.findById(id);
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: "Folder not found",
+      });
+    }
+
+    if (!folder.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Folder is already archived or deleted",
+      });
+    }
+
+    const batch = await archiveFolderTree(folder, req.user._id);
+
+    console.log(`✅ Folder archived with ${batch.resources.length} resources`);
+
+    res.status(200).json({
+      success: true,
+      message: "Folder archived with its resources",
+      data: {
+        batch: batch._id,
+        archived: batch.counts,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error archiving folder:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error archiving folder",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * ♻️ Restore an archived folder with its resources
+ */
+export const restoreFolder = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    console.log("♻️ Restoring folder:", id);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid folder ID",
+      });
+    }
+
+    const folder = await Folder.findById(id);
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: "Folder not found",
+      });
+    }
+
+    const batch = folder.archiveBatch && (await ArchiveBatch.findById(folder.archiveBatch));
+
+    if (folder.isActive || !batch || batch.status !== "archived") {
+      return res.status(400).json({
+        success: false,
+        message: "Folder is not archived",
+      });
+    }
+
+    // Archived along with its department: only the department can bring it back
+    if (batch.scope === "department") {
+      return res.status(400).json({
+        success: false,
+        message: "This folder was archived with its department. Restore the department instead.",
+      });
+    }
+
+    // Archived along with a parent folder: restore that folder
+    if (!batch.folder.equals(folder._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "This folder was archived with its parent folder. Restore the parent folder instead.",
+        archivedWith: batch.folder,
+      });
+    }
+
+    const department = await Department.findById(folder.department);
+    if (!department || !department.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "The folder's department is not active. Restore the department first.",
+      });
+    }
+
+    if (folder.parent && !(await Folder.exists({ _id: folder.parent, isActive: true }))) {
+      return res.status(400).json({
+        success: false,
+        message: "The folder's parent folder is not active. Restore the parent folder first.",
+      });
+    }
+
+    const restored = await restoreArchiveBatch(batch, req.user._id);
+
+    console.log(`✅ Folder restored with ${restored.resources} resources`);
+
+    res.status(200).json({
+      success: true,
+      message: "Folder restored with its resources",
+      data: {
+        batch: batch._id,
+        restored,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error restoring folder:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error restoring folder",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * 📊 Get folder statistics
  */
@@ -540,7 +1000,14 @@ export const getFolderStats = async (req, res) => {
 export const getFolderResources = async (req, res) => {
   try {
     const { id } = req.params;
-    const { type, page = 1, limit = 20, sortBy = "createdAt", sortOrder = "desc" } = req.query;
+    const {
+      type,
+      includeDescendants,
+      page = 1,
+      limit = 20,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = req.query;
 
     console.log("📋 Fetching resources for folder:", id);
 
@@ -551,9 +1018,10 @@ export const getFolderResources = async (req, res) => {
       });
     }
 
-    // Build query
+    // Build query (?includeDescendants=true adds resources of every sub-folder)
     const query = {
-      folder: id,
+      folder:
+        includeDescendants === "true" ? { $in: [id, ...(await descendantIds(id))] } : id,
       isActive: true,
     };
 
@@ -564,9 +1032,10 @@ export const getFolderResources = async (req, res) => {
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Sorting
+    // Sorting (manual order: sortBy=order&sortOrder=asc, newest first on ties)
     const sort = {};
     sort[sortBy] = sortOrder === "asc" ? 1 : -1;
+    if (sortBy === "order") sort.createdAt = -1;
 
     const resources = await Resource.find(query)
       .populate("department", "name slug icon color")
@@ -598,4 +1067,218 @@ export const getFolderResources = async (req, res) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+/**
+ * ↕️ Reorder the folders of a department (one level: root or sub-folders of a parent)
+ */
+export const reorderFolders = async (req, res) => {
+  try {
+    const { departmentId } = req.params;
+    const { parent = null, folders } = req.body;
+
+    console.log("↕️ Reordering folders of department:", departmentId);
+
+    if (!mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid department ID",
+      });
+    }
+
+    if (parent && !mongoose.Types.ObjectId.isValid(parent)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid parent folder ID",
+      });
+    }
+
+    const listError = orderListError(folders, "folders");
+    if (listError) {
+      return res.status(400).json({
+        success: false,
+        message: listError,
+      });
+    }
+
+    const { unknown, items } = await applyOrder(
+      Folder,
+      { department: departmentId, parent: parent || null, isActive: true },
+      folders,
+      { order: 1, name: 1 }
+    );
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some folders are not active folders of this department at this level",
+        unknown,
+      });
+    }
+
+    console.log(`✅ ${items.length} folders reordered`);
+
+    res.status(200).json({
+      success: true,
+      message: "Folders reordered successfully",
+      data: items,
+    });
+  } catch (error) {
+    console.error("❌ Error reordering folders:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reordering folders",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * ↕️ Reorder the resources inside a folder
+ */
+export const reorderFolderResources = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { resources } = req.body;
+
+    console.log("↕️ Reordering resources of folder:", id);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid folder ID",
+      });
+    }
+
+    const folder = await Folder.findById(id);
+
+    if (!folder || !folder.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Folder not found",
+      });
+    }
+
+    const listError = orderListError(resources, "resources");
+    if (listError) {
+      return res.status(400).json({
+        success: false,
+        message: listError,
+      });
+    }
+
+    const { unknown, items } = await applyOrder(
+      Resource,
+      { folder: folder._id, isActive: true },
+      resources,
+      { order: 1, createdAt: -1 }
+    );
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some resources are not active resources of this folder",
+        unknown,
+      });
+    }
+
+    console.log(`✅ ${items.length} resources reordered`);
+
+    res.status(200).json({
+      success: true,
+      message: "Resources reordered successfully",
+      data: items,
+    });
+  } catch (error) {
+    console.error("❌ Error reordering resources:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reordering resources",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * 🌳 Get a folder with its whole sub-folder tree
+ */
+export const getFolderTree = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    console.log("🌳 Fetching tree for folder:", id);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid folder ID",
+      });
+    }
+
+    const folder = await Folder.findById(id);
+
+    if (!folder || !folder.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Folder not found",
+      });
+    }
+
+    const tree = await buildFolderTree(folder);
+
+    console.log("✅ Tree built");
+
+    res.status(200).json({
+      success: true,
+      data: tree,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching folder tree:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching folder tree",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * 🧭 Get the breadcrumbs of a folder (department, then folders root first)
+ */
+export const getFolderBreadcrumbs = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid folder ID",
+      });
+    }
+
+    const folder = await Folder.findById(id).populate("department", "name slug icon color");
+
+    if (!folder || !folder.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Folder not found",
+      });
+    }
+
+    const folders = await breadcrumbsOf(folder);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        department: folder.department,
+        folders,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching breadcrumbs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching folder breadcrumbs",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,217 @@
+// src/controllers/inviteController.js
+// Invitation links for onboarding members directly into a department
+// - Co-managers create, list and revoke invites
+// - Anyone can preview an invite code before registering with it
+
+import Invite from "../models/Invite.js";
+import Department from "../models/Department.js";
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { clientUrl } from "../utils/emailTemplates.js";
+import { PRIVILEGED_ROLES, departmentScopeFilter, isSuperAdmin } from "../utils/permissions.js";
+
+// Default and maximum lifetime of an invite, in days
+const DEFAULT_INVITE_DAYS = 7;
+const MAX_INVITE_DAYS = 90;
+
+/**
+ * Mongo filter matching invites in a given state
+ * @param {String} status - active | used | expired | revoked
+ * @returns {Object} Query fragment
+ */
+const statusFilter = (status) => {
+  const now = new Date();
+
+  switch (status) {
+    case "active":
+      return {
+        revokedAt: null,
+        expiresAt: { $gt: now },
+        $expr: { $lt: ["$uses", "$maxUses"] },
+      };
+    case "used":
+      return { revokedAt: null, $expr: { $gte: ["$uses", "$maxUses"] } };
+    case "expired":
+      return {
+        revokedAt: null,
+        expiresAt: { $lte: now },
+        $expr: { $lt: ["$uses", "$maxUses"] },
+      };
+    case "revoked":
+      return { revokedAt: { $ne: null } };
+    default:
+      return {};
+  }
+};
+
+// ============================================
+// @desc    Create an invite
+// @route   POST /api/invites
+// @access  Private/Co-Manager
+// ============================================
+export const createInvite = asyncHandler(async (req, res) => {
+  const { role = "member", department, email, maxUses = 1, expiresInDays, note } = req.body;
+
+  if (!department || !mongoose.Types.ObjectId.isValid(department)) {
+    res.status(400);
+    throw new Error("A valid department is required");
+  }
+
+  if (PRIVILEGED_ROLES.includes(role) && !isSuperAdmin(req.user)) {
+    res.status(403);
+    throw new Error(`Only a super-admin can invite a ${role}`);
+  }
+
+  const dept = await Department.findById(department);
+  if (!dept || !dept.isActive) {
+    res.status(404);
+    throw new Error("Department not found");
+  }
+
+  const days = parseInt(expiresInDays) || DEFAULT_INVITE_DAYS;
+  if (days < 1 || days > MAX_INVITE_DAYS) {
+    res.status(400);
+    throw new Error(`Invites must expire within 1 to ${MAX_INVITE_DAYS} days`);
+  }
+
+  const invite = await Invite.create({
+    code: Invite.generateCode(),
+    role,
+    department,
+    email: email?.trim() || undefined,
+    maxUses: parseInt(maxUses) || 1,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    note: note?.trim() || "",
+    createdBy: req.user._id,
+  });
+
+  await invite.populate("department", "name slug icon color");
+
+  res.status(201).json({
+    success: true,
+    message: "Invite created successfully",
+    data: {
+      ...invite.toObject(),
+      link: clientUrl("/register", invite.code, "invite"),
+    },
+  });
+});
+
+// ============================================
+// @desc    Get invites with filters & pagination
+// @route   GET /api/invites?status=active&department=xxx&page=1&limit=20
+// @access  Private/Co-Manager
+// ============================================
+export const getInvites = asyncHandler(async (req, res) => {
+  const { status, department, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const query = { ...statusFilter(status) };
+
+  // Co-managers only see invites of the departments they manage
+  const departmentFilter = departmentScopeFilter(req.user, department);
+  if (departmentFilter) {
+    query.department = departmentFilter;
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const invites = await Invite.find(query)
+    .populate("department", "name slug icon color")
+    .populate("createdBy", "name email")
+    .populate("usedBy.user", "name email")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Invite.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: invites.length,
+    data: invites,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// ============================================
+// @desc    Get single invite with its usage
+// @route   GET /api/invites/:id
+// @access  Private/Co-Manager
+// ============================================
+export const getInvite = asyncHandler(async (req, res) => {
+  const invite = await Invite.findById(req.params.id)
+    .populate("department", "name slug icon color")
+    .populate("createdBy", "name email")
+    .populate("usedBy.user", "name email role");
+
+  if (!invite) {
+    res.status(404);
+    throw new Error("Invite not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: invite,
+  });
+});
+
+// ============================================
+// @desc    Revoke an invite
+// @route   DELETE /api/invites/:id
+// @access  Private/Co-Manager
+// ============================================
+export const revokeInvite = asyncHandler(async (req, res) => {
+  const invite = await Invite.findById(req.params.id);
+
+  if (!invite) {
+    res.status(404);
+    throw new Error("Invite not found");
+  }
+
+  if (invite.revokedAt) {
+    res.status(400);
+    throw new Error("Invite is already revoked");
+  }
+
+  invite.revokedAt = new Date();
+  await invite.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Invite revoked successfully",
+  });
+});
+
+// ============================================
+// @desc    Preview an invite code before registering
+// @route   GET /api/invites/code/:code
+// @access  Public
+// ============================================
+export const previewInvite = asyncHandler(async (req, res) => {
+  const invite = await Invite.findOne({ code: req.params.code }).populate(
+    "department",
+    "name slug icon color"
+  );
+
+  if (!invite || invite.status !== "active") {
+    res.status(404);
+    throw new Error("Invite is invalid or has expired");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      role: invite.role,
+      department: invite.department,
+      email: invite.email,
+      expiresAt: invite.expiresAt,
+    },
+  });
+});
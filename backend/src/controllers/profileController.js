@@ -0,0 +1,273 @@
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import cloudinary from "../config/cloudinary.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { AVATAR_MAX_BYTES } from "../middleware/multer.js";
+import { generateEmailVerificationToken } from "../utils/tokenGenerator.js";
+import { sendMail } from "../utils/mailer.js";
+import { assertLoginAllowed, registerFailedCheck } from "../utils/loginAttempts.js";
+import {
+  clientUrl,
+  emailVerificationEmail,
+  emailChangeNoticeEmail,
+} from "../utils/emailTemplates.js";
+
+// Profile fields a user may edit on their own account
+const PROFILE_FIELDS = ["name", "bio", "phone"];
+const SOCIAL_FIELDS = ["linkedin", "github", "twitter", "portfolio"];
+
+// Avatar uploads (size limited by the uploader, see middleware/multer.js)
+const AVATAR_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+/**
+ * @route PATCH /api/v1/auth/me
+ * @desc Update own profile (name, bio, phone, social links)
+ * @access Private
+ */
+export const updateMe = asyncHandler(async (req, res) => {
+  const { social } = req.body;
+  const isText = (value) => value == null || typeof value === "string";
+
+  // Text only (null clears a field): other values would break .trim()
+  const invalid = PROFILE_FIELDS.filter((field) => !isText(req.body[field]));
+  if (social != null && typeof social !== "object") {
+    invalid.push("social");
+  } else if (social) {
+    invalid.push(
+      ...SOCIAL_FIELDS.filter((field) => !isText(social[field])).map((field) => `social.${field}`)
+    );
+  }
+
+  if (invalid.length > 0) {
+    res.status(400);
+    throw new Error(`Must be text: ${invalid.join(", ")}`);
+  }
+
+  const user = await User.findById(req.user._id);
+
+  PROFILE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      user[field] = typeof req.body[field] === "string" ? req.body[field].trim() : req.body[field];
+    }
+  });
+
+  // Social links are merged: only the links sent are changed ("" clears one)
+  if (req.body.social && typeof req.body.social === "object") {
+    SOCIAL_FIELDS.forEach((field) => {
+      if (req.body.social[field] !== undefined) {
+        user.social[field] = req.body.social[field]?.trim() || undefined;
+      }
+    });
+  }
+
+  await user.save();
+  await user.populate("department", "name slug icon color");
+
+  res.status(200).json({
+    success: true,
+    message: "Profile updated successfully",
+    data: user,
+  });
+});
+
+/**
+ * @route PUT /api/v1/auth/me/password
+ * @desc Change own password (logs out every other device)
+ * @access Private
+ */
+export const updateMyPassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    res.status(400);
+    throw new Error("Current password and new password are required");
+  }
+
+  if (typeof currentPassword !== "string" || typeof newPassword !== "string") {
+    res.status(400);
+    throw new Error("Passwords must be strings");
+  }
+
+  if (newPassword.length < 6) {
+    res.status(400);
+    throw new Error("New password must be at least 6 characters");
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+
+  // Wrong passwords count like failed logins (a stolen session can't guess it)
+  await assertLoginAllowed(req, res, user);
+
+  if (!(await user.comparePassword(currentPassword))) {
+    await registerFailedCheck(req, user, "invalid-password");
+    res.status(401);
+    throw new Error("Current password is incorrect");
+  }
+
+  await assertLoginAllowed(req, res, user, { reload: true });
+
+  user.resetLoginAttempts();
+  // Hashed by pre-save hook
+  user.password = newPassword;
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, "password-changed", req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: "Password updated successfully, other devices have been logged out",
+  });
+});
+
+/**
+ * @route PUT /api/v1/auth/me/avatar
+ * @desc Upload a new avatar (multipart field "avatar") to Cloudinary
+ * @access Private
+ */
+export const updateMyAvatar = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    res.status(400);
+    throw new Error("No image uploaded");
+  }
+
+  if (!AVATAR_TYPES.includes(req.file.mimetype)) {
+    res.status(400);
+    throw new Error("Avatar must be a JPEG, PNG, WebP or GIF image");
+  }
+
+  if (req.file.size > AVATAR_MAX_BYTES) {
+    res.status(400);
+    throw new Error("Avatar cannot exceed 2 MB");
+  }
+
+  const uploadResult = await new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        {
+          resource_type: "image",
+          folder: "gdg-resources/avatars",
+          transformation: [{ width: 256, height: 256, crop: "fill", gravity: "face" }],
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      )
+      .end(req.file.buffer);
+  });
+
+  const user = await User.findById(req.user._id).select("+avatarPublicId");
+  const previousPublicId = user.avatarPublicId;
+
+  user.avatar = uploadResult.secure_url;
+  user.avatarPublicId = uploadResult.public_id;
+  await user.save({ validateBeforeSave: false });
+
+  // Drop the replaced image (never fails the request)
+  if (previousPublicId) {
+    cloudinary.uploader
+      .destroy(previousPublicId)
+      .catch((err) => console.error("Old avatar cleanup failed:", err.message));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Avatar updated successfully",
+    data: { avatar: user.avatar },
+  });
+});
+
+/**
+ * @route DELETE /api/v1/auth/me/avatar
+ * @desc Remove own avatar
+ * @access Private
+ */
+export const deleteMyAvatar = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("+avatarPublicId");
+
+  if (user.avatarPublicId) {
+    await cloudinary.uploader.destroy(user.avatarPublicId);
+  }
+
+  user.avatar = undefined;
+  user.avatarPublicId = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Avatar removed successfully",
+  });
+});
+
+/**
+ * @route PUT /api/v1/auth/me/email
+ * @desc Request an email change; it applies once the new address is confirmed
+ *       through POST /auth/verify-email
+ * @access Private
+ */
+export const updateMyEmail = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    res.status(400);
+    throw new Error("New email and password are required");
+  }
+
+  if (typeof email !== "string" || typeof password !== "string") {
+    res.status(400);
+    throw new Error("Email and password must be strings");
+  }
+
+  const newEmail = email.trim().toLowerCase();
+  const user = await User.findById(req.user._id).select("+password");
+
+  await assertLoginAllowed(req, res, user);
+
+  if (!(await user.comparePassword(password))) {
+    await registerFailedCheck(req, user, "invalid-password");
+    res.status(401);
+    throw new Error("Password is incorrect");
+  }
+
+  await assertLoginAllowed(req, res, user, { reload: true });
+
+  if (newEmail === user.email) {
+    res.status(400);
+    throw new Error("This is already your email address");
+  }
+
+  // Reuse the schema's email format check
+  const formatError = User.schema.path("email").doValidateSync(newEmail, user);
+  if (formatError) {
+    res.status(400);
+    throw new Error(formatError.message);
+  }
+
+  if (await User.exists({ email: newEmail })) {
+    res.status(400);
+    throw new Error("This email address is already in use");
+  }
+
+  user.resetLoginAttempts();
+  user.pendingEmail = newEmail;
+  await user.save({ validateBeforeSave: false });
+
+  const token = generateEmailVerificationToken(user._id, newEmail);
+  await sendMail({
+    to: newEmail,
+    ...emailVerificationEmail(user, clientUrl("/verify-email", token)),
+  });
+
+  // Warn the current address (never fails the request)
+  try {
+    await sendMail({ to: user.email, ...emailChangeNoticeEmail(user, newEmail) });
+  } catch (err) {
+    console.error("Email change notice failed:", err.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Confirmation link sent to ${newEmail}. Your email changes once it is confirmed.`,
+  });
+});
@@ -5,14 +5,75 @@
 // - Proper error handling and validation
 
 import Resource from "../models/Resource.js";
+import ResourceRevision, { diffSnapshots } from "../models/ResourceRevision.js";
+import Department from "../models/Department.js";
+import Folder from "../models/Folder.js";
+import ImportJob from "../models/ImportJob.js";
+import ResourceContent from "../models/ResourceContent.js";
 import cloudinary from "../config/cloudinary.js";
 import mongoose from "mongoose";
 import asyncHandler from "../middleware/asyncHandler.js";
+import { can, checkPermission, apiKeyAllows, isSuperAdmin } from "../utils/permissions.js";
+import {
+  TRASH_RETENTION_DAYS,
+  purgeDateOf,
+  purgeResource,
+  trashResource,
+  restoreFromTrash,
+} from "../utils/trash.js";
+import { withTransaction } from "../utils/transaction.js";
+import { countResource, recountMovedResource } from "../utils/counters.js";
+import { buildResourceQuery, isValidTagsFilter } from "../utils/resourceQuery.js";
+import { BULK_ACTIONS, MAX_BULK_ITEMS, runBulkAction } from "../utils/bulkResources.js";
+import {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  resolveColumns,
+  validateImportRows,
+} from "../utils/resourceImport.js";
+import {
+  EXPORT_FORMATS,
+  MAX_EXPORT_RESOURCES,
+  folderPathsOf,
+  recordsToCsv,
+  streamExportZip,
+  toExportRecord,
+} from "../utils/resourceExport.js";
+import { descendantIds } from "../utils/folderTree.js";
+import {
+  highlightsOf,
+  parseSearchFilters,
+  runResourceSearch,
+  searchContent,
+} from "../utils/resourceSearch.js";
+import { enqueueImport } from "../jobs/importRunner.js";
+import { queueContentIndexing } from "../jobs/contentIndexer.js";
+
+/**
+ * Answer 400 unless a folder is an active folder of the department
+ * (the department check of authorize() does not cover the folder)
+ * @param {Object} res - Response
+ * @param {*} folder - Folder ID (nothing to check when empty)
+ * @param {*} department - Department ID
+ */
+const assertFolderInDepartment = async (res, folder, department) => {
+  if (!folder) return;
+
+  const valid =
+    mongoose.Types.ObjectId.isValid(folder.toString()) &&
+    mongoose.Types.ObjectId.isValid(department.toString()) &&
+    (await Folder.exists({ _id: folder, department, isActive: true }));
+
+  if (!valid) {
+    res.status(400);
+    throw new Error("Folder not found in this department");
+  }
+};
 
 // ============================================
 // @desc    Create a new resource (file or link)
 // @route   POST /api/resources
-// @access  Private
+// @access  Private (uploader = authenticated user)
 // ============================================
 export const createResource = asyncHandler(async (req, res) => {
   const {
@@ -25,7 +86,6 @@ export const createResource = asyncHandler(async (req, res) => {
     linkType,
     tags,
     contributors,
-    uploadedBy,
   } = req.body;
 
   // Validate required fields
@@ -44,6 +104,8 @@ export const createResource = asyncHandler(async (req, res) => {
     throw new Error("Department is required");
   }
 
+  await assertFolderInDepartment(res, folder?.trim(), department.trim());
+
   let uploadResult = null;
 
   // Handle file upload to Cloudinary
@@ -94,9 +156,11 @@ export const createResource = asyncHandler(async (req, res) => {
       : [],
   };
 
+  // Uploader is always the authenticated user
+  resourceData.uploadedBy = req.user._id;
+
   // Optional fields
   if (folder?.trim()) resourceData.folder = folder.trim();
-  if (uploadedBy?.trim()) resourceData.uploadedBy = uploadedBy.trim();
 
   // File-specific fields
   if (type === "file") {
@@ -110,8 +174,14 @@ export const createResource = asyncHandler(async (req, res) => {
     resourceData.linkType = linkType?.trim() || "other";
   }
 
-  // Create resource
-  const newResource = await Resource.create(resourceData);
+  // Create resource (version 1 of its history) and count it
+  const newResource = await withTransaction(async (session) => {
+    const [resource] = await Resource.create([resourceData], { session });
+    await countResource(resource, 1, session);
+    return resource;
+  });
+  await ResourceRevision.ensureBaseline(newResource, req.user._id);
+  if (newResource.type === "file") queueContentIndexing(newResource._id);
 
   // Populate references
   await newResource.populate([
@@ -140,44 +210,28 @@ export const getResources = asyncHandler(async (req, res) => {
     search,
     tags,
     uploadedBy,
-    isActive = true,
     page = 1,
     limit = 20,
     sortBy = "createdAt",
     order = "desc",
   } = req.query;
 
-  // Build query
-  const query = {};
-
-  if (isActive !== undefined) {
-    query.isActive = isActive === "true" || isActive === true;
-  }
-
-  if (department && department !== "all") {
-    query.department = department;
-  }
-
-  if (folder && folder !== "all") {
-    query.folder = folder;
-  }
-
-  if (type && type !== "all") {
-    query.type = type;
-  }
-
-  if (uploadedBy) {
-    query.uploadedBy = uploadedBy;
-  }
-
-  if (tags) {
-    query.tags = { $in: Array.isArray(tags) ? tags : tags.split(",") };
+  if (!isValidTagsFilter(tags)) {
+    res.status(400);
+    throw new Error("tags must be a comma-separated string or an array of strings");
   }
 
-  // Text search
-  if (search) {
-    query.$text = { $search: search };
-  }
+  // Build query (public: trashed and archived resources are listed by /resources/trash
+  // and the archives, with their own access rules)
+  const query = buildResourceQuery({
+    department,
+    folder,
+    type,
+    search,
+    tags,
+    uploadedBy,
+    isActive: true,
+  });
 
   // Pagination
   const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -210,6 +264,79 @@ export const getResources = asyncHandler(async (req, res) => {
   });
 });
 
+// ============================================
+// @desc    Search resources: ranked results, highlights and facet counts,
+//          plus matches in the text of uploaded documents (contentMatches)
+// @route   GET /api/resources/search?q=kotlin&type=file&tags=android,compose
+// @access  Public
+// ============================================
+export const searchResources = asyncHandler(async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  const withContent = q && req.query.content !== "false";
+
+  const { filters, error } = parseSearchFilters(req.query);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const { ids, scores, terms, total, facets, capped } = await runResourceSearch({
+    q,
+    filters,
+    page,
+    limit,
+  });
+
+  // Document matches: the first page only, whatever page of results is asked
+  const content = withContent ? await searchContent({ q, filters, limit }) : null;
+  const contentIds = content ? content.matches.map(({ id }) => id) : [];
+
+  const found = await Resource.find({ _id: { $in: [...ids, ...contentIds] } })
+    .populate("department", "name slug icon color")
+    .populate("folder", "name color")
+    .populate("uploadedBy", "name email avatar");
+  const byId = new Map(found.map((resource) => [resource._id.toString(), resource]));
+
+  // Keep the ranking of the search
+  const results = ids
+    .map((id) => byId.get(id.toString()))
+    .filter(Boolean)
+    .map((resource) => ({
+      ...resource.toJSON(),
+      score: scores.get(resource._id.toString()) ?? null,
+      highlights: highlightsOf(resource, terms),
+    }));
+
+  const contentMatches = content && {
+    total: content.total,
+    data: content.matches
+      .filter(({ id }) => byId.has(id))
+      .map(({ id, score, file, snippet }) => ({
+        ...byId.get(id).toJSON(),
+        score,
+        content: { file, snippet },
+      })),
+  };
+
+  res.status(200).json({
+    success: true,
+    query: q,
+    count: results.length,
+    data: results,
+    ...(contentMatches && { contentMatches }),
+    facets,
+    capped,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
 // ============================================
 // @desc    Get single resource by ID
 // @route   GET /api/resources/:id
@@ -242,7 +369,7 @@ export const getResourceById = asyncHandler(async (req, res) => {
 // ============================================
 // @desc    Update resource
 // @route   PUT /api/resources/:id
-// @access  Private
+// @access  Private (owner, or lead / co-manager of its department)
 // ============================================
 export const updateResource = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -259,18 +386,27 @@ export const updateResource = asyncHandler(async (req, res) => {
 
   const resource = await Resource.findById(id);
 
-  if (!resource) {
+  // Resources in the trash are restored first, not edited
+  if (!resource || !resource.isActive) {
     res.status(404);
     throw new Error("Resource not found");
   }
 
+  // The folder kept or chosen must belong to the department kept or chosen
+  if (department || folder) {
+    await assertFolderInDepartment(
+      res,
+      folder !== undefined ? folder : resource.folder,
+      department || resource.department
+    );
+  }
+
+  // Resources created before history existed get their current state as a revision
+  await ResourceRevision.ensureBaseline(resource);
+
   // Handle file replacement if new file uploaded
+  // (the old file stays on Cloudinary: previous revisions still point to it)
   if (req.file && resource.type === "file") {
-    // Delete old file from Cloudinary
-    if (resource.publicId) {
-      await cloudinary.uploader.destroy(resource.publicId);
-    }
-
     // Upload new file
     const uploadResult = await new Promise((resolve, reject) => {
       cloudinary.uploader
@@ -294,6 +430,7 @@ export const updateResource = asyncHandler(async (req, res) => {
   }
 
   // Update fields
+  const before = { department: resource.department, folder: resource.folder };
   if (title) resource.title = title.trim();
   if (description !== undefined) resource.description = description.trim();
   if (department) resource.department = department;
@@ -313,7 +450,11 @@ export const updateResource = asyncHandler(async (req, res) => {
       : contributors.split(",").map((c) => c.trim());
   }
 
-  await resource.save();
+  await withTransaction(async (session) => {
+    await ResourceRevision.commit(resource, { userId: req.user._id, session });
+    if (resource.isActive) await recountMovedResource(before, resource, session);
+  });
+  if (req.file && resource.type === "file") queueContentIndexing(resource._id);
   await resource.populate([
     { path: "department", select: "name slug icon color" },
     { path: "folder", select: "name color" },
@@ -330,25 +471,136 @@ export const updateResource = asyncHandler(async (req, res) => {
 // ============================================
 // @desc    Delete resource (soft delete)
 // @route   DELETE /api/resources/:id
-// @access  Private/Admin
+// @access  Private (owner, or lead / co-manager of its department)
 // ============================================
 export const deleteResource = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const resource = await Resource.findById(id);
 
-  if (!resource) {
+  if (!resource || !resource.isActive) {
     res.status(404);
     throw new Error("Resource not found");
   }
 
-  // Soft delete
-  resource.isActive = false;
-  await resource.save();
+  // Soft delete: moved to the trash bin until restored or purged
+  await trashResource(resource, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Resource moved to trash",
+    data: { purgeAt: purgeDateOf(resource) },
+  });
+});
+
+// ============================================
+// @desc    Get trashed resources of a department
+// @route   GET /api/resources/trash?department=xxx&page=1&limit=20
+// @access  Private (members see their own, leads / co-managers their departments')
+// ============================================
+export const getTrash = asyncHandler(async (req, res) => {
+  const { department, page = 1, limit = 20 } = req.query;
+
+  if (!department || !mongoose.Types.ObjectId.isValid(department)) {
+    res.status(400);
+    throw new Error("A valid department is required");
+  }
+
+  const query = { department, isActive: false, archiveBatch: null };
+
+  // Only moderators of the department see everyone's deleted resources
+  if (!can(req.user, "resource:moderate", { departments: [department] })) {
+    query.uploadedBy = req.user._id;
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const resources = await Resource.find(query)
+    .select("-favoritedBy")
+    .populate("folder", "name color")
+    .populate("uploadedBy", "name email")
+    .populate("deletedBy", "name email")
+    .sort({ deletedAt: -1, updatedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Resource.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: resources.length,
+    retentionDays: TRASH_RETENTION_DAYS,
+    data: resources.map((resource) => ({
+      ...resource.toObject(),
+      purgeAt: purgeDateOf(resource),
+    })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// ============================================
+// @desc    Restore a resource from the trash
+// @route   POST /api/resources/:id/restore
+// @access  Private (owner, or lead / co-manager of its department)
+// ============================================
+export const restoreResource = asyncHandler(async (req, res) => {
+  const resource = await Resource.findById(req.params.id);
+
+  if (!resource || resource.isActive || resource.archiveBatch) {
+    res.status(404);
+    throw new Error("Resource not found in trash");
+  }
+
+  // A folder deleted in the meantime is dropped
+  const { restored, folderDropped, reason } = await restoreFromTrash(resource);
+  if (!restored) {
+    res.status(400);
+    throw new Error(reason);
+  }
 
   res.status(200).json({
     success: true,
-    message: "Resource deleted successfully",
+    message: "Resource restored successfully",
+    data: { resource, folderDropped },
+  });
+});
+
+// ============================================
+// @desc    Permanently delete a trashed resource and its Cloudinary files
+// @route   DELETE /api/resources/:id/purge
+// @access  Private/Co-Manager
+// ============================================
+export const purgeTrashedResource = asyncHandler(async (req, res) => {
+  const resource = await Resource.findById(req.params.id);
+
+  if (!resource || resource.isActive || resource.archiveBatch) {
+    res.status(404);
+    throw new Error("Resource not found in trash");
+  }
+
+  const { purged, assets } = await purgeResource(resource);
+
+  if (!purged) {
+    res.status(502);
+    throw new Error(
+      `Could not delete ${assets.failed.length} file(s) from Cloudinary, the resource stays in trash`
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Resource permanently deleted",
+    data: {
+      filesDeleted: assets.deleted,
+      filesMissing: assets.missing,
+      filesShared: assets.shared,
+    },
   });
 });
 
@@ -476,8 +728,10 @@ export const addFilesToResource = asyncHandler(async (req, res) => {
   const uploadedFiles = await Promise.all(uploadPromises);
 
   // Add to resource files array
+  await ResourceRevision.ensureBaseline(resource);
   resource.files.push(...uploadedFiles);
-  await resource.save();
+  await ResourceRevision.commit(resource, { userId: req.user._id });
+  if (resource.type === "file") queueContentIndexing(resource._id);
 
   res.status(200).json({
     success: true,
@@ -508,14 +762,11 @@ export const removeFileFromResource = asyncHandler(async (req, res) => {
     throw new Error("File not found in resource");
   }
 
-  // Delete from Cloudinary
-  if (file.publicId) {
-    await cloudinary.uploader.destroy(file.publicId);
-  }
-
-  // Remove from array
+  // Remove from array (the Cloudinary file is kept for the revision history)
+  await ResourceRevision.ensureBaseline(resource);
   resource.files.pull(fileId);
-  await resource.save();
+  await ResourceRevision.commit(resource, { userId: req.user._id });
+  if (resource.type === "file") queueContentIndexing(resource._id);
 
   res.status(200).json({
     success: true,
@@ -523,6 +774,687 @@ export const removeFileFromResource = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Find a revision of a resource by version number, or fail with 404
+ * @param {Object} res - Express response
+ * @param {String} resourceId - Resource ID
+ * @param {*} version - Version number
+ * @returns {Object} ResourceRevision document
+ */
+const findRevision = async (res, resourceId, version) => {
+  const revision = await ResourceRevision.findOne({
+    resource: resourceId,
+    version: parseInt(version),
+  });
+
+  if (!revision) {
+    res.status(404);
+    throw new Error(`Revision ${version} not found`);
+  }
+
+  return revision;
+};
+
+// ============================================
+// @desc    Get the indexing status of the files of a resource (content search)
+// @route   GET /api/resources/:id/content
+// @access  Private
+// ============================================
+export const getResourceContent = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const resource = await Resource.findById(id).select("type");
+
+  if (!resource) {
+    res.status(404);
+    throw new Error("Resource not found");
+  }
+
+  if (resource.type !== "file") {
+    res.status(400);
+    throw new Error("Only file resources have indexed content");
+  }
+
+  // The extracted text itself is only returned by searches, as snippets
+  const content = await ResourceContent.findOne({ resource: id }).select("-files.text");
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: content?.status || "pending",
+      attempts: content?.attempts || 0,
+      indexedAt: content?.indexedAt || null,
+      files: content?.files || [],
+    },
+  });
+});
+
+// ============================================
+// @desc    Get the revision history of a resource
+// @route   GET /api/resources/:id/revisions?page=1&limit=20
+// @access  Private
+// ============================================
+export const getResourceRevisions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+
+  const resource = await Resource.findById(id).select("currentVersion isActive");
+
+  if (!resource || !resource.isActive) {
+    res.status(404);
+    throw new Error("Resource not found");
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const revisions = await ResourceRevision.find({ resource: id })
+    .select("version action restoredFrom changedFields createdBy createdAt title")
+    .populate("createdBy", "name email")
+    .sort({ version: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await ResourceRevision.countDocuments({ resource: id });
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    currentVersion: resource.currentVersion,
+    data: revisions,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// ============================================
+// @desc    Get one revision (full snapshot)
+// @route   GET /api/resources/:id/revisions/:version
+// @access  Private
+// ============================================
+export const getResourceRevision = asyncHandler(async (req, res) => {
+  const resource = await Resource.findById(req.params.id).select("isActive");
+
+  if (!resource || !resource.isActive) {
+    res.status(404);
+    throw new Error("Resource not found");
+  }
+
+  const revision = await findRevision(res, req.params.id, req.params.version);
+
+  await revision.populate([
+    { path: "createdBy", select: "name email" },
+    { path: "department", select: "name slug" },
+    { path: "folder", select: "name" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: revision,
+  });
+});
+
+// ============================================
+// @desc    Compare the metadata of two revisions
+// @route   GET /api/resources/:id/revisions/diff?from=2&to=5
+// @access  Private
+// ============================================
+export const diffResourceRevisions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const resource = await Resource.findById(id).select("currentVersion isActive");
+
+  if (!resource || !resource.isActive) {
+    res.status(404);
+    throw new Error("Resource not found");
+  }
+
+  // Defaults: current version against the one before it
+  const to = parseInt(req.query.to) || resource.currentVersion;
+  const from = parseInt(req.query.from) || Math.max(1, to - 1);
+
+  const [fromRevision, toRevision] = await Promise.all([
+    findRevision(res, id, from),
+    findRevision(res, id, to),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from,
+      to,
+      changes: diffSnapshots(fromRevision, toRevision),
+    },
+  });
+});
+
+// ============================================
+// @desc    Restore a revision as the current state (creates a new revision)
+// @route   POST /api/resources/:id/revisions/:version/restore
+// @access  Private (owner, or lead / co-manager of its department)
+// ============================================
+export const restoreResourceRevision = asyncHandler(async (req, res) => {
+  const { id, version } = req.params;
+
+  const resource = await Resource.findById(id);
+
+  if (!resource || !resource.isActive) {
+    res.status(404);
+    throw new Error("Resource not found");
+  }
+
+  const revision = await findRevision(res, id, version);
+
+  if (revision.version === resource.currentVersion) {
+    res.status(400);
+    throw new Error(`Revision ${revision.version} is already the current version`);
+  }
+
+  // Restoring may move the resource back to another department
+  const { allowed } = checkPermission(req.user, "resource:update", {
+    departments: [revision.department],
+    ownerId: resource.uploadedBy || null,
+  });
+  if (!allowed) {
+    res.status(403);
+    throw new Error("Forbidden: you don't manage the department of this revision");
+  }
+
+  const department = await Department.findById(revision.department).select("isActive");
+  if (!department || !department.isActive) {
+    res.status(400);
+    throw new Error("The department of this revision no longer exists");
+  }
+
+  // A deleted folder is dropped rather than blocking the restore
+  let folder = revision.folder || null;
+  if (folder && !(await Folder.exists({ _id: folder, isActive: true }))) {
+    folder = null;
+  }
+
+  await ResourceRevision.ensureBaseline(resource);
+
+  const before = { department: resource.department, folder: resource.folder };
+  resource.set({
+    title: revision.title,
+    description: revision.description,
+    url: revision.url,
+    publicId: revision.publicId,
+    format: revision.format,
+    size: revision.size,
+    linkType: revision.linkType,
+    folder,
+    department: revision.department,
+    tags: revision.tags,
+    contributors: revision.contributors,
+    files: revision.files.map((file) => file.toObject()),
+  });
+
+  const restored = await withTransaction(async (session) => {
+    const committed = await ResourceRevision.commit(resource, {
+      userId: req.user._id,
+      action: "restore",
+      restoredFrom: revision.version,
+      session,
+    });
+    await recountMovedResource(before, resource, session);
+    return committed;
+  });
+  if (resource.type === "file") queueContentIndexing(resource._id);
+
+  await resource.populate([
+    { path: "department", select: "name slug icon color" },
+    { path: "folder", select: "name color" },
+    { path: "uploadedBy", select: "name email" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: `Revision ${revision.version} restored as version ${resource.currentVersion}`,
+    data: {
+      resource,
+      changedFields: restored?.changedFields || [],
+      folderDropped: !!revision.folder && !folder,
+    },
+  });
+});
+
+// ============================================
+// @desc    Apply one action to many resources (IDs or a listing filter)
+// @route   POST /api/resources/bulk
+// @access  Private (each resource is checked like the single-resource routes)
+// ============================================
+export const bulkResources = asyncHandler(async (req, res) => {
+  const { action, ids, filter, folder, department, tags, dryRun = false } = req.body;
+
+  if (!BULK_ACTIONS[action]) {
+    res.status(400);
+    throw new Error(`action must be one of: ${Object.keys(BULK_ACTIONS).join(", ")}`);
+  }
+
+  const { permission, applies } = BULK_ACTIONS[action];
+  if (!apiKeyAllows(req.apiKey, permission)) {
+    res.status(403);
+    throw new Error("Forbidden: API key lacks the resources:write scope");
+  }
+
+  // Action parameters
+  const target = {};
+
+  if (action === "move-folder") {
+    if (folder === undefined) {
+      res.status(400);
+      throw new Error("folder is required (null to take resources out of their folder)");
+    }
+    if (folder) {
+      target.folder = mongoose.Types.ObjectId.isValid(folder) ? await Folder.findById(folder) : null;
+      if (!target.folder || !target.folder.isActive) {
+        res.status(404);
+        throw new Error("Target folder not found");
+      }
+    } else {
+      target.folder = null;
+    }
+  }
+
+  if (action === "move-department") {
+    target.department = mongoose.Types.ObjectId.isValid(department)
+      ? await Department.findById(department)
+      : null;
+    if (!target.department || !target.department.isActive) {
+      res.status(404);
+      throw new Error("Target department not found");
+    }
+  }
+
+  if (action === "add-tags" || action === "remove-tags") {
+    const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+    target.tags = [...new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+    if (target.tags.length === 0) {
+      res.status(400);
+      throw new Error("tags are required");
+    }
+  }
+
+  // Resources: explicit IDs, or everything matching a filter
+  if (!ids === !filter) {
+    res.status(400);
+    throw new Error("Provide either ids or filter");
+  }
+
+  let resources;
+  let notFound = [];
+
+  if (ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      res.status(400);
+      throw new Error("ids must be a non-empty array");
+    }
+    const unique = [...new Set(ids.map(String))];
+    if (unique.length > MAX_BULK_ITEMS) {
+      res.status(400);
+      throw new Error(`At most ${MAX_BULK_ITEMS} resources per request`);
+    }
+    if (unique.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      res.status(400);
+      throw new Error("ids contains an invalid ID");
+    }
+
+    resources = await Resource.find({ _id: { $in: unique } });
+    const found = new Set(resources.map((resource) => resource._id.toString()));
+    notFound = unique.filter((id) => !found.has(id));
+  } else {
+    // Never "everything": at least one real criterion
+    const criteria = ["department", "folder", "type", "search", "tags", "uploadedBy"];
+    if (
+      typeof filter !== "object" ||
+      !criteria.some((key) => filter[key] && filter[key] !== "all")
+    ) {
+      res.status(400);
+      throw new Error(`filter needs at least one of: ${criteria.join(", ")}`);
+    }
+    if (!isValidTagsFilter(filter.tags)) {
+      res.status(400);
+      throw new Error("filter.tags must be a comma-separated string or an array of strings");
+    }
+
+    // Only resources the action applies to, unless the filter says otherwise
+    const query = buildResourceQuery({
+      isActive: applies === "active",
+      ...filter,
+    });
+    if (applies === "trashed") query.archiveBatch = null;
+
+    const total = await Resource.countDocuments(query);
+    if (total > MAX_BULK_ITEMS) {
+      res.status(400);
+      throw new Error(
+        `The filter matches ${total} resources, at most ${MAX_BULK_ITEMS} per request: narrow it down`
+      );
+    }
+    resources = await Resource.find(query).sort({ createdAt: 1 });
+  }
+
+  const isDryRun = dryRun === true || dryRun === "true";
+  const results = await runBulkAction({
+    action,
+    resources,
+    target,
+    user: req.user,
+    dryRun: isDryRun,
+  });
+  notFound.forEach((id) =>
+    results.push({ _id: id, status: "not-found", reason: "Resource not found" })
+  );
+
+  const summary = results.reduce(
+    (counts, { status }) => ({ ...counts, [status]: (counts[status] || 0) + 1 }),
+    { total: results.length }
+  );
+
+  res.status(200).json({
+    success: true,
+    action,
+    dryRun: isDryRun,
+    summary,
+    results,
+  });
+});
+
+// Largest import file accepted
+const MAX_IMPORT_FILE_SIZE = 2 * 1024 * 1024;
+
+// Multipart fields arrive as strings
+const parseJsonField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+// ============================================
+// @desc    Import links from a CSV or JSON file (dry run or background job)
+// @route   POST /api/resources/import
+// @access  Private (rows are checked like POST /resources)
+// ============================================
+export const importResources = asyncHandler(async (req, res) => {
+  const { rows: bodyRows, csv, department, folder, dryRun = false } = req.body;
+
+  // Source: an uploaded .csv / .json file, or rows / csv in a JSON body
+  let format;
+  let content;
+  let filename;
+
+  if (req.file) {
+    filename = req.file.originalname;
+    const extension = filename.split(".").pop().toLowerCase();
+    if (!["csv", "json"].includes(extension)) {
+      res.status(400);
+      throw new Error("Only .csv and .json files can be imported");
+    }
+    if (req.file.size > MAX_IMPORT_FILE_SIZE) {
+      res.status(400);
+      throw new Error("Import files are limited to 2 MB");
+    }
+    format = extension;
+    content = req.file.buffer.toString("utf8");
+  } else if (Array.isArray(bodyRows)) {
+    format = "json";
+  } else if (typeof csv === "string") {
+    format = "csv";
+    content = csv;
+  } else {
+    res.status(400);
+    throw new Error("Upload a .csv or .json file, or send rows or csv in the body");
+  }
+
+  let rows = bodyRows;
+  if (content !== undefined) {
+    const parsed = parseImportFile(format, content);
+    if (parsed.error) {
+      res.status(400);
+      throw new Error(parsed.error);
+    }
+    rows = parsed.rows;
+  }
+
+  if (rows.length === 0) {
+    res.status(400);
+    throw new Error("The import has no rows");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    res.status(400);
+    throw new Error(`At most ${MAX_IMPORT_ROWS} rows per import`);
+  }
+
+  const mapping = parseJsonField(req.body.mapping) ?? {};
+  if (typeof mapping !== "object" || Array.isArray(mapping)) {
+    res.status(400);
+    throw new Error("mapping must be an object of { field: column }");
+  }
+
+  const keys = new Set();
+  rows.forEach((row) => {
+    if (row && typeof row === "object") Object.keys(row).forEach((key) => keys.add(key));
+  });
+  const { columns, error } = resolveColumns([...keys], mapping);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+  const unmapped = ["title", "url"].filter((field) => !columns[field]);
+  if (unmapped.length > 0) {
+    res.status(400);
+    throw new Error(`No column for ${unmapped.join(", ")}: rename the column or add it to mapping`);
+  }
+
+  const { valid, errors } = await validateImportRows({
+    rows,
+    columns,
+    defaults: { department, folder },
+    user: req.user,
+  });
+  const summary = { total: rows.length, valid: valid.length, invalid: errors.length };
+
+  if (dryRun === true || dryRun === "true") {
+    return res.status(200).json({
+      success: true,
+      dryRun: true,
+      summary,
+      columns,
+      errors,
+      rows: valid,
+    });
+  }
+
+  if (valid.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "No valid rows to import",
+      summary,
+      errors,
+    });
+  }
+
+  const job = await ImportJob.create({
+    user: req.user._id,
+    format,
+    filename,
+    totalRows: rows.length,
+    total: valid.length,
+    rowErrors: errors,
+    rows: valid,
+  });
+  enqueueImport(job._id);
+
+  res.status(202).json({
+    success: true,
+    message: `Importing ${valid.length} resource(s)`,
+    summary,
+    errors,
+    data: {
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/import/${job._id}`,
+    },
+  });
+});
+
+// ============================================
+// @desc    Imports of the current user (latest first)
+// @route   GET /api/resources/import
+// @access  Private
+// ============================================
+export const getImportJobs = asyncHandler(async (req, res) => {
+  const jobs = await ImportJob.find({ user: req.user._id })
+    .select("-rowErrors -created")
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs,
+  });
+});
+
+// ============================================
+// @desc    Progress and report of an import
+// @route   GET /api/resources/import/:jobId
+// @access  Private (the user who started it, or a super-admin)
+// ============================================
+export const getImportJob = asyncHandler(async (req, res) => {
+  const job = await ImportJob.findById(req.params.jobId).populate(
+    "created.resource",
+    "title url department folder"
+  );
+
+  if (!job || (!isSuperAdmin(req.user) && job.user.toString() !== req.user._id.toString())) {
+    res.status(404);
+    throw new Error("Import not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...job.toObject(),
+      progress: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100,
+    },
+  });
+});
+
+// ============================================
+// @desc    Export resources of a department, folder, tag or search as CSV,
+//          JSON or a ZIP of their files
+// @route   GET /api/resources/export?format=zip&department=xxx
+// @access  Private (ZIP: members, leads, co-managers)
+// ============================================
+export const exportResources = asyncHandler(async (req, res) => {
+  const { format = "csv", department, folder, tag, tags, search, includeSubfolders } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400);
+    throw new Error(`format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+
+  // ZIP archives download every file of the scope (bandwidth, Cloudinary quota)
+  if (format === "zip" && !can(req.user, "resource:export-files")) {
+    res.status(403);
+    throw new Error("Forbidden: ZIP export is reserved to members, leads and co-managers");
+  }
+
+  if (!isValidTagsFilter(tags) || !isValidTagsFilter(tag)) {
+    res.status(400);
+    throw new Error("tags must be a comma-separated string or an array of strings");
+  }
+
+  // Never "everything": at least one scope
+  if (!department && !folder && !tag && !tags && !search) {
+    res.status(400);
+    throw new Error("Choose what to export: department, folder, tag or search");
+  }
+
+  const query = buildResourceQuery({ department, search, tags: tags || tag, isActive: true });
+  let label = search ? "search" : `tag-${tags || tag}`;
+
+  if (department) {
+    const found = mongoose.Types.ObjectId.isValid(department)
+      ? await Department.findOne({ _id: department, isActive: true }).select("slug")
+      : null;
+    if (!found) {
+      res.status(404);
+      throw new Error("Department not found");
+    }
+    label = found.slug;
+  }
+
+  if (folder) {
+    const found = mongoose.Types.ObjectId.isValid(folder)
+      ? await Folder.findOne({ _id: folder, isActive: true }).select("slug")
+      : null;
+    if (!found) {
+      res.status(404);
+      throw new Error("Folder not found");
+    }
+    label = found.slug;
+
+    // Sub-folders are part of a folder unless asked otherwise
+    query.folder =
+      includeSubfolders === "false"
+        ? found._id
+        : { $in: [found._id, ...(await descendantIds(found._id))] };
+  }
+
+  const total = await Resource.countDocuments(query);
+  if (total > MAX_EXPORT_RESOURCES) {
+    res.status(400);
+    throw new Error(
+      `${total} resources match, at most ${MAX_EXPORT_RESOURCES} per export: narrow it down`
+    );
+  }
+
+  const resources = await Resource.find(query)
+    .populate("department", "name slug")
+    .populate("folder", "name slug ancestors")
+    .populate("uploadedBy", "name")
+    .sort({ department: 1, folder: 1, order: 1, createdAt: 1 });
+
+  const folderPaths = await folderPathsOf(resources);
+  const records = resources.map((resource) => toExportRecord(resource, folderPaths));
+
+  const date = new Date().toISOString().slice(0, 10);
+  const filename = `gdg-resources-${label.replace(/[^a-z0-9-]+/gi, "-")}-${date}.${format}`;
+  res.attachment(filename);
+
+  if (format === "csv") {
+    return res.type("text/csv").send(recordsToCsv(records));
+  }
+
+  const filters = { department, folder, tags: tags || tag, search };
+  if (format === "json") {
+    return res.status(200).json({
+      success: true,
+      exportedAt: new Date(),
+      filters,
+      count: records.length,
+      data: records,
+    });
+  }
+
+  res.type("application/zip");
+  await streamExportZip(res, {
+    resources,
+    records,
+    meta: { filters, exportedBy: req.user.name },
+  });
+});
+
 // ============================================
 // @desc    Get resource statistics
 // @route   GET /api/resources/stats
@@ -0,0 +1,257 @@
+// src/controllers/roleRequestController.js
+// Role upgrade requests (visitor → member)
+// - Visitors submit a request for a department
+// - Co-managers review (approve / reject) it
+// - Approval updates the user's role and department
+
+import RoleRequest from "../models/RoleRequest.js";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import Department from "../models/Department.js";
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { sendMail } from "../utils/mailer.js";
+import { roleRequestDecisionEmail } from "../utils/emailTemplates.js";
+import { departmentScopeFilter } from "../utils/permissions.js";
+
+/**
+ * Find a pending request to decide on, or fail with 404 / 400
+ * (department scope is checked by authorize("role-request:review") on the route)
+ * @param {Object} req - Express request (params.id, user)
+ * @param {Object} res - Express response
+ * @returns {Object} RoleRequest document
+ */
+const findReviewableRequest = async (req, res) => {
+  const request = await RoleRequest.findById(req.params.id);
+
+  if (!request) {
+    res.status(404);
+    throw new Error("Role request not found");
+  }
+
+  if (request.status !== "pending") {
+    res.status(400);
+    throw new Error(`Role request is already ${request.status}`);
+  }
+
+  return request;
+};
+
+/**
+ * Tell the requester about the decision (never fails the request)
+ * @param {Object} request - Reviewed RoleRequest
+ */
+const notifyRequester = async (request) => {
+  try {
+    await request.populate([
+      { path: "user", select: "name email" },
+      { path: "department", select: "name" },
+    ]);
+    await sendMail({ to: request.user.email, ...roleRequestDecisionEmail(request) });
+  } catch (err) {
+    console.error("Role request notification failed:", err.message);
+  }
+};
+
+// ============================================
+// @desc    Submit a role upgrade request
+// @route   POST /api/role-requests
+// @access  Private/Visitor
+// ============================================
+export const createRoleRequest = asyncHandler(async (req, res) => {
+  const { department, motivation } = req.body;
+
+  if (!department || !mongoose.Types.ObjectId.isValid(department)) {
+    res.status(400);
+    throw new Error("A valid department is required");
+  }
+
+  if (!motivation?.trim()) {
+    res.status(400);
+    throw new Error("Motivation is required");
+  }
+
+  const dept = await Department.findById(department);
+  if (!dept || !dept.isActive) {
+    res.status(404);
+    throw new Error("Department not found");
+  }
+
+  const pending = await RoleRequest.findOne({ user: req.user._id, status: "pending" });
+  if (pending) {
+    res.status(400);
+    throw new Error("You already have a pending role request");
+  }
+
+  const request = await RoleRequest.create({
+    user: req.user._id,
+    department,
+    motivation: motivation.trim(),
+  });
+
+  await request.populate("department", "name slug icon color");
+
+  res.status(201).json({
+    success: true,
+    message: "Role request submitted successfully",
+    data: request,
+  });
+});
+
+// ============================================
+// @desc    Get the current user's role requests
+// @route   GET /api/role-requests/me
+// @access  Private
+// ============================================
+export const getMyRoleRequests = asyncHandler(async (req, res) => {
+  const requests = await RoleRequest.find({ user: req.user._id })
+    .populate("department", "name slug icon color")
+    .populate("reviewedBy", "name")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    data: requests,
+  });
+});
+
+// ============================================
+// @desc    Get all role requests with filters & pagination
+// @route   GET /api/role-requests?status=pending&department=xxx&page=1&limit=20
+// @access  Private/Co-Manager
+// ============================================
+export const getRoleRequests = asyncHandler(async (req, res) => {
+  const { status = "pending", department, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (status && status !== "all") {
+    query.status = status;
+  }
+
+  // Co-managers only see requests for the departments they manage
+  const departmentFilter = departmentScopeFilter(req.user, department);
+  if (departmentFilter) {
+    query.department = departmentFilter;
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const requests = await RoleRequest.find(query)
+    .populate("user", "name email avatar role")
+    .populate("department", "name slug icon color")
+    .populate("reviewedBy", "name email")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await RoleRequest.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    data: requests,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+// ============================================
+// @desc    Approve a role request (updates user role & department)
+// @route   PUT /api/role-requests/:id/approve
+// @access  Private/Co-Manager
+// ============================================
+export const approveRoleRequest = asyncHandler(async (req, res) => {
+  const request = await findReviewableRequest(req, res);
+
+  const user = await User.findById(request.user);
+  if (!user || !user.isActive) {
+    res.status(404);
+    throw new Error("Requesting user not found");
+  }
+
+  // Never downgrade or move someone who was promoted in the meantime
+  const roleApplied = user.role === "visitor";
+  if (roleApplied) {
+    user.role = request.requestedRole;
+    user.department = request.department;
+    await user.save({ validateBeforeSave: false });
+
+    // Sessions opened as a visitor sign in again with the new role
+    await Session.revokeAllForUser(user._id, "role-changed");
+  }
+
+  request.status = "approved";
+  request.reviewedBy = req.user._id;
+  request.reviewedAt = new Date();
+  request.reviewNote = req.body.note?.trim() || "";
+  await request.save();
+
+  await notifyRequester(request);
+
+  res.status(200).json({
+    success: true,
+    message: roleApplied
+      ? "Role request approved"
+      : `Role request approved, the user already had the ${user.role} role (unchanged)`,
+    roleApplied,
+    data: request,
+  });
+});
+
+// ============================================
+// @desc    Reject a role request
+// @route   PUT /api/role-requests/:id/reject
+// @access  Private/Co-Manager
+// ============================================
+export const rejectRoleRequest = asyncHandler(async (req, res) => {
+  const request = await findReviewableRequest(req, res);
+
+  request.status = "rejected";
+  request.reviewedBy = req.user._id;
+  request.reviewedAt = new Date();
+  request.reviewNote = req.body.note?.trim() || "";
+  await request.save();
+
+  await notifyRequester(request);
+
+  res.status(200).json({
+    success: true,
+    message: "Role request rejected",
+    data: request,
+  });
+});
+
+// ============================================
+// @desc    Cancel own pending role request
+// @route   DELETE /api/role-requests/:id
+// @access  Private (requester)
+// ============================================
+export const cancelRoleRequest = asyncHandler(async (req, res) => {
+  const request = await RoleRequest.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!request) {
+    res.status(404);
+    throw new Error("Role request not found");
+  }
+
+  if (request.status !== "pending") {
+    res.status(400);
+    throw new Error(`Role request is already ${request.status}`);
+  }
+
+  request.status = "cancelled";
+  await request.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Role request cancelled",
+  });
+});
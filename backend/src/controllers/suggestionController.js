@@ -0,0 +1,44 @@
+// src/controllers/suggestionController.js
+// Search-as-you-type suggestions across resources, folders, departments and tags
+
+import asyncHandler from "../middleware/asyncHandler.js";
+import { suggest, SUGGESTION_TYPES } from "../utils/suggestions.js";
+
+// ============================================
+// @desc    Suggestions for a partial, possibly misspelled query
+// @route   GET /api/suggestions?q=flutr&types=resource,tag&limit=8
+// @access  Public
+// ============================================
+export const getSuggestions = asyncHandler(async (req, res) => {
+  const started = process.hrtime.bigint();
+
+  const q = String(req.query.q || "").trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+
+  const types = req.query.types
+    ? String(req.query.types)
+        .split(",")
+        .map((type) => type.trim())
+        .filter(Boolean)
+    : SUGGESTION_TYPES;
+  const unknown = types.filter((type) => !SUGGESTION_TYPES.includes(type));
+  if (unknown.length > 0) {
+    res.status(400);
+    throw new Error(`types must be among: ${SUGGESTION_TYPES.join(", ")}`);
+  }
+
+  if (q.length > 100) {
+    res.status(400);
+    throw new Error("q cannot exceed 100 characters");
+  }
+
+  const suggestions = await suggest(q, { limit, types });
+
+  res.status(200).json({
+    success: true,
+    query: q,
+    count: suggestions.length,
+    data: suggestions,
+    tookMs: Number(process.hrtime.bigint() - started) / 1e6,
+  });
+});
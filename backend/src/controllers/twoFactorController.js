@@ -0,0 +1,194 @@
+import User from "../models/User.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { generateSecret, buildOtpauthUri, verifyTotp } from "../utils/totp.js";
+import { isTwoFactorRequired } from "../utils/permissions.js";
+import { assertLoginAllowed, registerFailedCheck } from "../utils/loginAttempts.js";
+
+const TWO_FACTOR_FIELDS =
+  "+password +twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep";
+
+/**
+ * @route GET /api/v1/auth/2fa
+ * @desc Get 2FA status of the current user
+ * @access Private
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("+twoFactorRecoveryCodes");
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.twoFactorEnabled,
+      recoveryCodesLeft: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+      required: isTwoFactorRequired(user),
+    },
+  });
+});
+
+/**
+ * @route POST /api/v1/auth/2fa/setup
+ * @desc Start enrolment: generate a secret and its otpauth:// URI
+ * @access Private
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Scan the QR code with your authenticator app, then confirm with a code",
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUri({ secret, label: user.email }),
+    },
+  });
+});
+
+/**
+ * @route POST /api/v1/auth/2fa/enable
+ * @desc Confirm enrolment with a first code; returns recovery codes once
+ * @access Private
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    res.status(400);
+    throw new Error("Verification code is required");
+  }
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    res.status(400);
+    throw new Error("Start the setup first (POST /auth/2fa/setup)");
+  }
+
+  const step = verifyTotp(code, user.twoFactorPendingSecret);
+  if (step === null) {
+    res.status(400);
+    throw new Error("Invalid verification code");
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastStep = step;
+  user.twoFactorEnabled = true;
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication enabled. Store your recovery codes safely.",
+    data: { recoveryCodes },
+  });
+});
+
+/**
+ * @route POST /api/v1/auth/2fa/disable
+ * @desc Turn 2FA off (password + code or recovery code required)
+ * @access Private
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    res.status(400);
+    throw new Error("Password and a code (or recovery code) are required");
+  }
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (isTwoFactorRequired(user)) {
+    res.status(403);
+    throw new Error("Two-factor authentication is mandatory for co-managers");
+  }
+
+  // Locked account or progressive delay still running
+  await assertLoginAllowed(req, res, user);
+
+  if (!(await user.comparePassword(password))) {
+    await registerFailedCheck(req, user, "invalid-password");
+    res.status(401);
+    throw new Error("Invalid password or code");
+  }
+
+  if (!user.verifyTwoFactor({ code, recoveryCode })) {
+    await registerFailedCheck(req, user, "invalid-2fa");
+    res.status(401);
+    throw new Error("Invalid password or code");
+  }
+
+  await assertLoginAllowed(req, res, user, { reload: true });
+
+  user.resetLoginAttempts();
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+/**
+ * @route POST /api/v1/auth/2fa/recovery-codes
+ * @desc Replace all recovery codes (current code required)
+ * @access Private
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    res.status(400);
+    throw new Error("Verification code is required");
+  }
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  await assertLoginAllowed(req, res, user);
+
+  if (user.verifyTwoFactor({ code }) !== "totp") {
+    await registerFailedCheck(req, user, "invalid-2fa");
+    res.status(401);
+    throw new Error("Invalid verification code");
+  }
+
+  await assertLoginAllowed(req, res, user, { reload: true });
+
+  user.resetLoginAttempts();
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "New recovery codes generated, the old ones no longer work",
+    data: { recoveryCodes },
+  });
+});
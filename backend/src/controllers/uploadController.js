@@ -57,6 +57,7 @@ export const uploadFile = asyncHandler(async (req, res) => {
     size: uploadResult.bytes,
     type: fileType,
     resourceType: uploadResult.resource_type,
+    uploadedBy: req.user._id,
   });
 
   sendSuccess(res, savedFile, "File uploaded successfully", 201);
@@ -123,6 +124,7 @@ export const uploadMultipleFiles = asyncHandler(async (req, res) => {
       size: uploadResult.bytes,
       type: file.mimetype.split("/")[1],
       resourceType: uploadResult.resource_type,
+      uploadedBy: req.user._id,
     }))
   );
 
@@ -162,6 +164,7 @@ export const addLink = asyncHandler(async (req, res) => {
     type: type || "link",
     resourceType: "link",
     size: 0,
+    uploadedBy: req.user._id,
   });
 
   sendSuccess(res, savedLink, "Link added successfully", 201);
@@ -170,7 +173,7 @@ export const addLink = asyncHandler(async (req, res) => {
 /**
  * Delete file from Cloudinary and database
  * @route DELETE /api/v1/upload/:id
- * @access Private
+ * @access Private (Co-Manager or file owner)
  */
 export const deleteFile = asyncHandler(async (req, res) => {
   const file = await File.findById(req.params.id);
@@ -251,7 +254,7 @@ export const getAllFiles = asyncHandler(async (req, res) => {
 /**
  * Get upload statistics
  * @route GET /api/v1/upload/stats
- * @access Private (Admin)
+ * @access Private (Co-Manager)
  */
 export const getUploadStats = asyncHandler(async (req, res) => {
   const stats = await File.aggregate([
@@ -7,8 +7,27 @@
 
 import User from "../models/User.js";
 import Resource from "../models/Resource.js";
+import LoginAudit from "../models/LoginAudit.js";
+import Department from "../models/Department.js";
+import Session from "../models/Session.js";
 import mongoose from "mongoose";
 import asyncHandler from "../middleware/asyncHandler.js";
+import { PRIVILEGED_ROLES, isSuperAdmin } from "../utils/permissions.js";
+
+/**
+ * Only super-admins can act on other co-managers and super-admins
+ * @param {Object} req - Request (req.user is the caller)
+ * @param {Object} res - Response
+ * @param {Object} user - Target user
+ */
+const assertCanManageUser = (req, res, user) => {
+  const isSelf = user._id.toString() === req.user._id.toString();
+
+  if (!isSelf && !isSuperAdmin(req.user) && PRIVILEGED_ROLES.includes(user.role)) {
+    res.status(403);
+    throw new Error("Only a super-admin can manage co-managers and super-admins");
+  }
+};
 
 // ============================================
 // @desc    Create a new user (register)
@@ -18,6 +37,12 @@ import asyncHandler from "../middleware/asyncHandler.js";
 export const createUser = asyncHandler(async (req, res) => {
   const { name, email, password, role, department, phone, bio } = req.body;
 
+  // Only super-admins can hand out co-manager / super-admin roles
+  if (PRIVILEGED_ROLES.includes(role) && !isSuperAdmin(req.user)) {
+    res.status(403);
+    throw new Error(`Only a super-admin can create a ${role}`);
+  }
+
   // Check if user already exists
   const existingUser = await User.findOne({ email: email.toLowerCase() });
 
@@ -177,6 +202,19 @@ export const updateUser = asyncHandler(async (req, res) => {
     throw new Error("User not found");
   }
 
+  const roleChange = Boolean(role) && role !== user.role;
+
+  // Only super-admins can edit other co-managers or grant privileged roles
+  assertCanManageUser(req, res, user);
+  if (!isSuperAdmin(req.user)) {
+    const isSelf = user._id.toString() === req.user._id.toString();
+
+    if (roleChange && (isSelf || PRIVILEGED_ROLES.includes(role))) {
+      res.status(403);
+      throw new Error(`Only a super-admin can assign the ${role} role`);
+    }
+  }
+
   // Check if email is being changed and if it's already taken by another user
   if (email && email.toLowerCase() !== user.email) {
     const emailExists = await User.findOne({ email: email.toLowerCase() });
@@ -200,6 +238,11 @@ export const updateUser = asyncHandler(async (req, res) => {
   await user.save();
   await user.populate("department", "name slug icon color");
 
+  // Sessions opened with the old role sign in again
+  if (roleChange) {
+    await Session.revokeAllForUser(user._id, "role-changed");
+  }
+
   res.status(200).json({
     success: true,
     message: "User updated successfully",
@@ -235,6 +278,8 @@ export const updatePassword = asyncHandler(async (req, res) => {
     throw new Error("User not found");
   }
 
+  assertCanManageUser(req, res, user);
+
   // Verify current password using comparePassword method from User model
   const isMatch = await user.comparePassword(currentPassword);
 
@@ -268,6 +313,8 @@ export const deleteUser = asyncHandler(async (req, res) => {
     throw new Error("User not found");
   }
 
+  assertCanManageUser(req, res, user);
+
   // Soft delete: set isActive to false instead of removing from DB
   user.isActive = false;
   await user.save();
@@ -424,3 +471,138 @@ export const getUserResources = asyncHandler(async (req, res) => {
     },
   });
 });
+
+// ============================================
+// @desc    Unlock an account locked after failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private/Co-Manager
+// ============================================
+export const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  assertCanManageUser(req, res, user);
+
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "User account unlocked successfully",
+  });
+});
+
+// ============================================
+// @desc    Get login history (audit) of a user
+// @route   GET /api/users/:id/login-history?success=false&page=1&limit=20
+// @access  Private (self or Co-Manager)
+// ============================================
+export const getUserLoginHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { success } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const user = await User.findById(id).select("name email failedLoginAttempts lockUntil");
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  // Build query
+  const query = { user: id };
+
+  if (success !== undefined) {
+    query.success = success === "true" || success === true;
+  }
+
+  // Pagination
+  const skip = (page - 1) * limit;
+
+  const entries = await LoginAudit.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await LoginAudit.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: {
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        failedLoginAttempts: user.failedLoginAttempts,
+        isLocked: user.isLocked(),
+        lockUntil: user.lockUntil,
+      },
+      entries,
+    },
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// ============================================
+// @desc    Set the departments a co-manager / lead manages
+// @route   PUT /api/users/:id/managed-departments
+// @access  Private/Super-Admin
+// ============================================
+export const updateManagedDepartments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { managedDepartments } = req.body;
+
+  if (!Array.isArray(managedDepartments)) {
+    res.status(400);
+    throw new Error("managedDepartments must be an array of department IDs");
+  }
+
+  if (managedDepartments.some((deptId) => !mongoose.Types.ObjectId.isValid(deptId))) {
+    res.status(400);
+    throw new Error("Invalid department ID in managedDepartments");
+  }
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  if (!["lead", "co-manager"].includes(user.role)) {
+    res.status(400);
+    throw new Error("Only leads and co-managers have managed departments");
+  }
+
+  // Every department must exist
+  const uniqueIds = [...new Set(managedDepartments.map(String))];
+  const found = await Department.countDocuments({ _id: { $in: uniqueIds } });
+
+  if (found !== uniqueIds.length) {
+    res.status(404);
+    throw new Error("One or more departments not found");
+  }
+
+  user.managedDepartments = uniqueIds;
+  await user.save({ validateBeforeSave: false });
+  await user.populate("managedDepartments", "name slug icon color");
+
+  res.status(200).json({
+    success: true,
+    message: "Managed departments updated successfully",
+    data: user,
+  });
+});
@@ -0,0 +1,158 @@
+// src/jobs/contentIndexer.js
+// Background extraction of the text of uploaded files (see ResourceContent)
+// - uploads queue their resource here; resources are indexed one at a time,
+//   inside this process, without slowing the upload request down
+// - only files not indexed yet are downloaded again: replacing or adding a
+//   file re-reads that file, removed files drop out of the index
+// - indexPendingContent() (scheduled job) retries failures and indexes files
+//   uploaded before content search existed, or queued by a process that stopped
+
+import Resource from "../models/Resource.js";
+import ResourceContent from "../models/ResourceContent.js";
+import {
+  EXTRACTABLE_FORMATS,
+  downloadFile,
+  extractText,
+  formatOf,
+} from "../utils/contentExtraction.js";
+
+// Runs before a resource whose files keep failing is left alone
+export const MAX_INDEX_ATTEMPTS = 3;
+
+// Resources handled per run of the scheduled job
+const BATCH_SIZE = 50;
+
+const queue = new Set();
+let draining = false;
+
+/**
+ * Read one file of a resource
+ * @param {{ url, format }} file
+ * @returns {Object} ResourceContent file entry
+ */
+const indexFile = async ({ url, format }) => {
+  if (!EXTRACTABLE_FORMATS.includes(format)) {
+    return { url, format, status: "unsupported" };
+  }
+
+  try {
+    const { buffer, tooLarge } = await downloadFile(url);
+    if (tooLarge) return { url, format, status: "too-large" };
+
+    const text = await extractText(buffer, format);
+    return { url, format, status: "indexed", chars: text.length, text };
+  } catch (err) {
+    if (err.tooLarge) return { url, format, status: "too-large" };
+    return { url, format, status: "failed", error: err.message };
+  }
+};
+
+/**
+ * Bring the content index of a resource up to date with its files
+ * @param {*} resourceId - Resource ID
+ * @returns {String|null} New status, or null when there is nothing to index
+ */
+export const indexResourceContent = async (resourceId) => {
+  const resource = await Resource.findById(resourceId).select("type url format files");
+
+  // Links (and purged resources) have no content
+  if (!resource || resource.type !== "file") {
+    await ResourceContent.deleteOne({ resource: resourceId });
+    return null;
+  }
+
+  const files = [
+    { url: resource.url, format: formatOf(resource.url, resource.format) },
+    ...resource.files.map(({ url, format }) => ({ url, format: formatOf(url, format) })),
+  ];
+
+  const content =
+    (await ResourceContent.findOne({ resource: resource._id })) ||
+    new ResourceContent({ resource: resource._id });
+
+  // Files read before are kept as they are (failed ones are tried again)
+  const known = new Map(
+    content.files
+      .filter(({ status }) => status !== "failed")
+      .map((file) => [file.url, file.toObject()])
+  );
+
+  const entries = [];
+  for (const file of files) {
+    entries.push(known.get(file.url) || (await indexFile(file)));
+  }
+
+  const failed = entries.some(({ status }) => status === "failed");
+  content.files = entries;
+  content.status = failed ? "failed" : "indexed";
+  content.attempts = failed ? content.attempts + 1 : 0;
+  content.indexedAt = new Date();
+  await content.save();
+
+  return content.status;
+};
+
+const drain = async () => {
+  if (draining) return;
+  draining = true;
+
+  while (queue.size > 0) {
+    const [resourceId] = queue;
+    queue.delete(resourceId);
+    try {
+      await indexResourceContent(resourceId);
+    } catch (err) {
+      console.error(`❌ Content indexing of ${resourceId} failed:`, err.message);
+    }
+  }
+
+  draining = false;
+};
+
+/**
+ * (Re)index the files of a resource in the background
+ * Call it whenever the files of a resource change.
+ * @param {*} resourceId - Resource ID
+ */
+export const queueContentIndexing = (resourceId) => {
+  const id = resourceId.toString();
+
+  // Marked pending first, so a restart before it runs leaves it to the scheduled job
+  ResourceContent.updateOne(
+    { resource: id },
+    { status: "pending", attempts: 0 },
+    { upsert: true }
+  )
+    .catch((err) => console.error(`❌ Could not queue content indexing of ${id}:`, err.message))
+    .finally(() => {
+      queue.add(id);
+      drain();
+    });
+};
+
+/**
+ * Index what uploads could not: pending and failed resources, and file
+ * resources never indexed
+ * @returns {{ queued: Number }}
+ */
+export const indexPendingContent = async () => {
+  const known = await ResourceContent.distinct("resource");
+  const neverIndexed = await Resource.find({ type: "file", _id: { $nin: known } })
+    .select("_id")
+    .limit(BATCH_SIZE);
+
+  const pending = await ResourceContent.find({
+    $or: [{ status: "pending" }, { status: "failed", attempts: { $lt: MAX_INDEX_ATTEMPTS } }],
+  })
+    .select("resource")
+    .limit(BATCH_SIZE);
+
+  const ids = [
+    ...neverIndexed.map(({ _id }) => _id.toString()),
+    ...pending.map(({ resource }) => resource.toString()),
+  ];
+  ids.forEach((id) => queue.add(id));
+  drain();
+
+  return { queued: ids.length };
+};
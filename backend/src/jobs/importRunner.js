@@ -0,0 +1,131 @@
+// src/jobs/importRunner.js
+// Background runner of resource imports
+// - jobs run one at a time, in the order they were queued, inside this process
+// - a job is claimed atomically before it runs, so two processes (or a resume
+//   and a fresh enqueue) never run it together
+// - progress is saved after every row so clients can poll it
+// - jobs interrupted by a restart (or whose runner went silent) are picked up
+//   again by resumeImports(); rows already created are not created twice
+// - the owner's current role and departments are checked for every row
+
+import crypto from "crypto";
+import os from "os";
+import ImportJob from "../models/ImportJob.js";
+import User from "../models/User.js";
+import { can } from "../utils/permissions.js";
+import { createImportedResource } from "../utils/resourceImport.js";
+import { invalidateSuggestions } from "../utils/suggestions.js";
+
+// Running jobs without progress for this long are considered abandoned
+export const IMPORT_STALE_MINUTES = 10;
+
+const RUNNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+const queue = [];
+let draining = false;
+
+// Jobs this process may take: queued, or running but abandoned
+const claimableFilter = () => ({
+  $or: [
+    { status: "queued" },
+    {
+      status: "running",
+      heartbeatAt: { $not: { $gte: new Date(Date.now() - IMPORT_STALE_MINUTES * 60 * 1000) } },
+    },
+  ],
+});
+
+/**
+ * Create the rows of a job that are not processed yet
+ * @param {*} jobId - ImportJob ID
+ */
+const runImport = async (jobId) => {
+  const job = await ImportJob.findOneAndUpdate(
+    { _id: jobId, ...claimableFilter() },
+    { status: "running", runner: RUNNER_ID, heartbeatAt: new Date() },
+    { new: true }
+  ).select("+rows");
+  if (!job) return;
+
+  if (!job.startedAt) {
+    await ImportJob.updateOne({ _id: job._id }, { startedAt: new Date() });
+  }
+
+  for (const { row, data } of job.rows.slice(job.processed)) {
+    // Role or departments may have changed since the file was validated
+    const owner = await User.findById(job.user);
+    if (!owner || !owner.isActive || !can(owner, "resource:import")) {
+      throw new Error("The owner of this import can no longer import resources");
+    }
+
+    const progress = { $inc: { processed: 1 }, $set: { heartbeatAt: new Date() } };
+
+    try {
+      const resource = await createImportedResource(data, owner, { job: job._id, row });
+      progress.$inc.createdCount = 1;
+      progress.$push = { created: { row, resource: resource._id } };
+    } catch (err) {
+      progress.$inc.failedCount = 1;
+      progress.$push = { rowErrors: { row, messages: [err.message] } };
+    }
+
+    // Another process claimed the job (this one was too slow): let it finish
+    const { matchedCount } = await ImportJob.updateOne(
+      { _id: job._id, runner: RUNNER_ID },
+      progress
+    );
+    if (matchedCount === 0) return;
+  }
+
+  // The queued data is no longer needed once every row is created
+  await ImportJob.updateOne(
+    { _id: job._id, runner: RUNNER_ID },
+    { status: "completed", finishedAt: new Date(), $unset: { rows: 1 } }
+  );
+  invalidateSuggestions();
+};
+
+const drain = async () => {
+  if (draining) return;
+  draining = true;
+
+  while (queue.length > 0) {
+    const jobId = queue.shift();
+    try {
+      await runImport(jobId);
+    } catch (err) {
+      console.error(`❌ Import ${jobId} failed:`, err.message);
+      await ImportJob.updateOne(
+        { _id: jobId, runner: RUNNER_ID },
+        { status: "failed", finishedAt: new Date(), error: err.message }
+      ).catch(() => {});
+    }
+  }
+
+  draining = false;
+};
+
+/**
+ * Queue an import job
+ * @param {*} jobId - ImportJob ID
+ */
+export const enqueueImport = (jobId) => {
+  queue.push(jobId);
+  drain();
+};
+
+/**
+ * Queue the jobs nobody is running: left unfinished by a previous run of the
+ * process, or by another instance that stopped
+ * @returns {Object} { resumed }
+ */
+export const resumeImports = async () => {
+  const pending = await ImportJob.find(claimableFilter()).select("_id").sort({ createdAt: 1 });
+
+  pending.forEach(({ _id }) => queue.push(_id));
+  if (pending.length > 0) {
+    console.log(`📥 Resuming ${pending.length} import job(s)`);
+    drain();
+  }
+  return { resumed: pending.length };
+};
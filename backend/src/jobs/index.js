@@ -0,0 +1,47 @@
+// src/jobs/index.js
+// Registers the periodic maintenance jobs of the API
+
+import { scheduleJob } from "./scheduler.js";
+import { purgeExpiredTrash, TRASH_RETENTION_DAYS } from "../utils/trash.js";
+import { reconcileCounters } from "../utils/counters.js";
+import { resumeImports, IMPORT_STALE_MINUTES } from "./importRunner.js";
+import { indexPendingContent } from "./contentIndexer.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Start every job (set DISABLE_JOBS=true on extra instances)
+ */
+export const startJobs = () => {
+  if (process.env.DISABLE_JOBS === "true") {
+    console.log("⏸️  Scheduled jobs disabled");
+    return;
+  }
+
+  // Empty the trash of resources older than the retention period
+  if (TRASH_RETENTION_DAYS > 0) {
+    const every = (parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) || 6) * HOUR;
+    scheduleJob("trash-purge", every, purgeExpiredTrash);
+  }
+
+  // Fix stored counters that drifted from the data (logs what was wrong)
+  const every = (parseFloat(process.env.COUNTER_RECONCILE_INTERVAL_HOURS) || 24) * HOUR;
+  scheduleJob("counter-reconcile", every, async () => {
+    const { checked, discrepancies, fixed } = await reconcileCounters();
+    discrepancies.forEach(({ model, _id, field, stored, actual }) =>
+      console.warn(`⚠️  ${model} ${_id} ${field}: stored ${stored}, actual ${actual}`)
+    );
+    return { checked, discrepancies: discrepancies.length, fixed };
+  });
+
+  // Extract the text of files the upload-time indexing missed (and retry failures)
+  const indexEvery = (parseFloat(process.env.CONTENT_INDEX_INTERVAL_MINUTES) || 10) * MINUTE;
+  scheduleJob("content-index", indexEvery, indexPendingContent);
+
+  // Finish the imports a restart interrupted, then those another instance abandoned
+  resumeImports().catch((err) => console.error("❌ Could not resume imports:", err.message));
+  scheduleJob("import-resume", IMPORT_STALE_MINUTES * MINUTE, resumeImports);
+};
+
+export { stopJobs } from "./scheduler.js";
@@ -0,0 +1,48 @@
+// src/jobs/scheduler.js
+// Minimal in-process scheduler for periodic maintenance jobs
+// - A run never overlaps the previous one of the same job
+// - Timers are unref'd so they never keep the process alive
+
+const jobs = new Map();
+
+/**
+ * Run a task every intervalMs
+ * @param {String} name - Job name (logs)
+ * @param {Number} intervalMs - Delay between runs
+ * @param {Function} task - async () => report
+ * @param {Object} options
+ * @param {Number} options.initialDelayMs - Delay before the first run
+ */
+export const scheduleJob = (name, intervalMs, task, { initialDelayMs = 60 * 1000 } = {}) => {
+  if (jobs.has(name)) return;
+
+  const job = { running: false, timers: [] };
+
+  const run = async () => {
+    if (job.running) return;
+    job.running = true;
+
+    try {
+      const report = await task();
+      console.log(`🕒 Job ${name} done`, report ?? "");
+    } catch (err) {
+      console.error(`❌ Job ${name} failed:`, err.message);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timers.push(setTimeout(run, initialDelayMs).unref());
+  job.timers.push(setInterval(run, intervalMs).unref());
+  jobs.set(name, job);
+};
+
+/**
+ * Stop every scheduled job (graceful shutdown)
+ */
+export const stopJobs = () => {
+  for (const job of jobs.values()) {
+    job.timers.forEach((timer) => clearTimeout(timer));
+  }
+  jobs.clear();
+};
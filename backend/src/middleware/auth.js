@@ -1,107 +0,0 @@
-// src/middleware/auth.js
-// Authentication and authorization middleware
-
-import jwt from "jsonwebtoken";
-import User from "../models/User.js";
-
-// Protect routes - verify JWT token
-export const protect = async (req, res, next) => {
-  try {
-    let token;
-
-    // Check for token in Authorization header
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer")
-    ) {
-      token = req.headers.authorization.split(" ")[1];
-    }
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized, no token provided",
-      });
-    }
-
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token (exclude password)
-      req.user = await User.findById(decoded.id).select("-password");
-
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: "User not found",
-        });
-      }
-
-      if (!req.user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: "Account is deactivated",
-        });
-      }
-
-      next();
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized, token failed",
-      });
-    }
-  } catch (error) {
-    next(error);
-  }
-};
-
-// Authorize specific roles
-export const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized",
-      });
-    }
-
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: `Role '${req.user.role}' is not authorized to access this route`,
-      });
-    }
-
-    next();
-  };
-};
-
-// Optional auth - doesn't fail if no token
-export const optionalAuth = async (req, res, next) => {
-  try {
-    let token;
-
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer")
-    ) {
-      token = req.headers.authorization.split(" ")[1];
-    }
-
-    if (token) {
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select("-password");
-      } catch (error) {
-        // Invalid token but continue without user
-        req.user = null;
-      }
-    }
-
-    next();
-  } catch (error) {
-    next(error);
-  }
-};
@@ -1,63 +1,227 @@
 import asyncHandler from "./asyncHandler.js";
 import { verifyToken } from "../utils/tokenGenerator.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import ApiKey, { API_KEY_MARKER } from "../models/ApiKey.js";
+import policies from "../config/policies.js";
+import { apiKeyAllows, checkPermission, isTwoFactorRequired } from "../utils/permissions.js";
 
 /**
- * 🔒 Middleware: Protect routes (only authenticated users can access)
+ * Read the credential of a request: Bearer token (JWT or API key) or X-API-Key header
+ * @param {Object} req - Express request
+ * @returns {String|undefined}
  */
-export const protect = asyncHandler(async (req, res, next) => {
-  let token;
-
+const getCredential = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
-    token = req.headers.authorization.split(" ")[1];
+    return req.headers.authorization.split(" ")[1];
   }
+  return req.headers["x-api-key"];
+};
 
-  if (!token) {
-    res.status(401);
-    throw new Error("Not authorized, token missing");
+/**
+ * Resolve the user behind an API key
+ * @param {String} key - Raw API key
+ * @param {Object} req - Express request (for the client IP)
+ * @returns {{ user: Object, apiKey: Object }}
+ */
+const authenticateApiKey = async (key, req) => {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey) {
+    throw new Error("API key invalid, expired or revoked");
   }
 
-  try {
-    const decoded = verifyToken(token);
+  const user = await User.findById(apiKey.user).select("-password");
+  if (!user || !user.isActive) {
+    throw new Error("API key owner not found or deactivated");
+  }
 
-    const user = await User.findById(decoded.id).select("-password");
-    if (!user) {
-      res.status(401);
-      throw new Error("User not found");
+  await apiKey.touch(req.ip);
+
+  return { user: user.toObject(), apiKey };
+};
+
+/**
+ * Resolve the user behind an access token or API key
+ * Throws when the credential, its session or the account is not usable.
+ * @param {String} token - JWT access token or API key
+ * @param {Object} req - Express request
+ * @returns {{ user: Object, sessionId: String|undefined, apiKey: Object|undefined }}
+ */
+const authenticate = async (token, req) => {
+  if (token.startsWith(API_KEY_MARKER)) {
+    return authenticateApiKey(token, req);
+  }
+
+  const decoded = verifyToken(token);
+
+  // Only plain access tokens are accepted (refresh, 2FA, etc. carry a type)
+  if (decoded.type) {
+    throw new Error(`${decoded.type} token used as access token`);
+  }
+
+  // Tokens bound to a session die with it (logout / revoked device)
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isValid()) {
+      throw new Error("Session expired or revoked");
     }
+  }
 
-    // attach both DB user and token role (in case the role changed)
-    req.user = {
-      ...user.toObject(),
-      role: decoded.role || user.role,
-    };
+  const user = await User.findById(decoded.id).select("-password");
+  if (!user) {
+    throw new Error("User not found");
+  }
 
-    next();
+  if (!user.isActive) {
+    throw new Error("Account is deactivated");
+  }
+
+  // The role always comes from the database: a demoted user loses it at once
+  return { user: user.toObject(), sessionId: decoded.sid };
+};
+
+/**
+ * 🔒 Middleware: Protect routes (only authenticated users can access)
+ * Accepts JWT access tokens and API keys; req.apiKey is set for the latter.
+ */
+export const protect = asyncHandler(async (req, res, next) => {
+  const token = getCredential(req);
+
+  if (!token) {
+    res.status(401);
+    throw new Error("Not authorized, token missing");
+  }
+
+  try {
+    const { user, sessionId, apiKey } = await authenticate(token, req);
+    req.user = user;
+    req.sessionId = sessionId;
+    req.apiKey = apiKey;
   } catch (err) {
     console.error("Token verification failed:", err.message);
     res.status(401);
     throw new Error("Not authorized, invalid token");
   }
+
+  next();
 });
 
 /**
- * 🎯 Middleware: Restrict routes to specific roles
+ * 👀 Middleware: Attach the user when a valid token is sent, never fail
+ */
+export const optionalAuth = asyncHandler(async (req, res, next) => {
+  const token = getCredential(req);
+
+  if (token) {
+    try {
+      const { user, sessionId, apiKey } = await authenticate(token, req);
+      req.user = user;
+      req.sessionId = sessionId;
+      req.apiKey = apiKey;
+    } catch (err) {
+      // Invalid token but continue without user
+      req.user = null;
+    }
+  }
+
+  next();
+});
+
+// 403 message for each denial reason of checkPermission
+const DENIAL_MESSAGES = {
+  role: "Forbidden: insufficient permissions",
+  scope: "Forbidden: you don't manage this department",
+  ownership: "Forbidden: you can only modify what you uploaded",
+};
+
 /**
- * 🎯 Middleware: Restrict routes to specific roles
- * @param {...string} allowedRoles - Roles allowed to access the route
+ * 🔑 Middleware: Reserve a route to logged-in users (no API keys)
+ * For account & security routes that have no policy action.
  */
-export const restrictTo = (...allowedRoles) => {
-  return (req, res, next) => {
+export const denyApiKeys = (req, res, next) => {
+  if (req.apiKey) {
+    res.status(403);
+    throw new Error("Forbidden: not available with an API key");
+  }
+
+  next();
+};
+
+/**
+ * 🎯 Middleware: Allow the request only if the user may perform a policy action
+ * Actions & rules live in config/policies.js; super-admins are always allowed.
+ * API keys must also carry the action's apiKeyScope.
+ * Resolvers (see permissionContext.js) load the target of the action; a
+ * resolver returning null (missing target) adds no department, which denies
+ * leads and co-managers, while other roles reach the controller and its 404.
+ * @param {String} action - Policy action (e.g. "resource:update")
+ * @param {...Function} resolvers - async (req) => context fragment | null
+ */
+export const authorize = (action, ...resolvers) => {
+  if (!policies[action]) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  return asyncHandler(async (req, res, next) => {
     if (!req.user) {
       res.status(401);
       throw new Error("Not authenticated");
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
+    if (!apiKeyAllows(req.apiKey, action)) {
+      const scope = policies[action].apiKeyScope;
       res.status(403);
-      throw new Error("Forbidden: insufficient permissions");
+      throw new Error(
+        scope
+          ? `Forbidden: API key lacks the ${scope} scope`
+          : "Forbidden: not available with an API key"
+      );
+    }
+
+    const context = {};
+    for (const resolve of resolvers) {
+      const resolved = await resolve(req);
+      const { departments, ...rest } = resolved || { departments: [] };
+      if (departments) {
+        context.departments = [...(context.departments || []), ...departments];
+      }
+      Object.assign(context, rest);
+    }
+
+    const { allowed, reason } = checkPermission(req.user, action, context);
+    if (!allowed) {
+      res.status(403);
+      throw new Error(DENIAL_MESSAGES[reason] || DENIAL_MESSAGES.role);
+    }
+
+    // Co-managers can't use their role until 2FA is on (when mandatory)
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+      res.status(403);
+      throw new Error("Two-factor authentication must be enabled for co-managers");
     }
 
     next();
-  };
+  });
+};
+
+/**
+ * 📧 Middleware: Require a verified email address
+ * Only enforced when REQUIRE_EMAIL_VERIFICATION=true
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== "true") {
+    return next();
+  }
+
+  if (!req.user) {
+    res.status(401);
+    throw new Error("Not authenticated");
+  }
+
+  if (!req.user.isEmailVerified) {
+    res.status(403);
+    throw new Error("Please verify your email address before uploading");
+  }
+
+  next();
 };
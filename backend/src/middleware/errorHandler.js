@@ -26,6 +26,11 @@ export const errorHandler = (err, req, res, next) => {
       .join(", ");
   }
 
+  // Multer errors (file too large, unexpected field...)
+  if (err.name === "MulterError") {
+    statusCode = 400;
+  }
+
   // JWT errors
   if (err.name === "JsonWebTokenError") {
     statusCode = 401;
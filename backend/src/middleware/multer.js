@@ -3,4 +3,8 @@ import multer from "multer";
 const storage = multer.memoryStorage(); // keep files in memory before upload
 const upload = multer({ storage });
 
+// Avatars: refused while uploading, before a larger file fills memory
+export const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+export const avatarUpload = multer({ storage, limits: { fileSize: AVATAR_MAX_BYTES } });
+
 export default upload;
@@ -0,0 +1,115 @@
+// src/middleware/permissionContext.js
+// Context resolvers for authorize(action, ...resolvers)
+// Each resolver loads the target of a request and returns the fragment of
+// permission context it describes ({ departments, ownerId, targetUserId }),
+// or null when the target is missing / invalid (the controller answers 400/404).
+
+import Folder from "../models/Folder.js";
+import Resource from "../models/Resource.js";
+import File from "../models/File.js";
+import RoleRequest from "../models/RoleRequest.js";
+import Invite from "../models/Invite.js";
+import mongoose from "mongoose";
+
+const isValidId = (id) => typeof id === "string" && mongoose.Types.ObjectId.isValid(id.trim());
+
+/**
+ * Department ID taken from a route parameter
+ * @param {String} name - Param name
+ */
+export const departmentFromParam = (name) => async (req) =>
+  isValidId(req.params[name]) ? { departments: [req.params[name]] } : null;
+
+/**
+ * Department ID taken from the request body
+ * @param {String} name - Body field
+ */
+export const departmentFromBody = (name) => async (req) =>
+  isValidId(req.body?.[name]) ? { departments: [req.body[name].trim()] } : null;
+
+/**
+ * Department ID taken from the query string
+ * @param {String} name - Query parameter
+ */
+export const departmentFromQuery = (name) => async (req) =>
+  isValidId(req.query?.[name]) ? { departments: [req.query[name].trim()] } : null;
+
+/**
+ * Department of the folder identified by a route parameter or body field
+ * @param {String} name - Param (or body field) holding the folder ID
+ * @param {String} source - "params" or "body"
+ */
+export const folderFromParam = (name, source = "params") => async (req) => {
+  const id = req[source]?.[name];
+  if (!isValidId(id)) return null;
+
+  const folder = await Folder.findById(id).select("department");
+  return folder ? { departments: [folder.department] } : null;
+};
+
+/**
+ * Department a folder is moved / copied to: the body field when given,
+ * else the folder's own department
+ * @param {String} name - Body field holding the target department ID
+ * @param {String} folderParam - Param holding the folder ID
+ */
+export const targetDepartmentFromBody = (name, folderParam) => async (req) =>
+  req.body?.[name] !== undefined
+    ? departmentFromBody(name)(req)
+    : folderFromParam(folderParam)(req);
+
+/**
+ * Department and owner of the resource identified by a route parameter
+ * @param {String} name - Param name
+ */
+export const resourceFromParam = (name) => async (req) => {
+  const id = req.params[name];
+  if (!isValidId(id)) return null;
+
+  const resource = await Resource.findById(id).select("department uploadedBy");
+  return resource
+    ? { departments: [resource.department], ownerId: resource.uploadedBy || null }
+    : null;
+};
+
+/**
+ * Owner of the uploaded file identified by a route parameter
+ * @param {String} name - Param name
+ */
+export const fileFromParam = (name) => async (req) => {
+  const id = req.params[name];
+  if (!isValidId(id)) return null;
+
+  const file = await File.findById(id).select("uploadedBy");
+  return file ? { ownerId: file.uploadedBy || null } : null;
+};
+
+/**
+ * User account identified by a route parameter
+ * @param {String} name - Param name
+ */
+export const userFromParam = (name) => async (req) => ({ targetUserId: req.params[name] });
+
+/**
+ * Department of the role request identified by a route parameter
+ * @param {String} name - Param name
+ */
+export const roleRequestFromParam = (name) => async (req) => {
+  const id = req.params[name];
+  if (!isValidId(id)) return null;
+
+  const request = await RoleRequest.findById(id).select("department");
+  return request ? { departments: [request.department] } : null;
+};
+
+/**
+ * Department of the invite identified by a route parameter
+ * @param {String} name - Param name
+ */
+export const inviteFromParam = (name) => async (req) => {
+  const id = req.params[name];
+  if (!isValidId(id)) return null;
+
+  const invite = await Invite.findById(id).select("department");
+  return invite ? { departments: [invite.department] } : null;
+};
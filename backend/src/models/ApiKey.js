@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Every key starts with this marker so it can be told apart from a JWT
+export const API_KEY_MARKER = "gdg_";
+
+// Permission sets a key can be limited to (see apiKeyScope in config/policies.js)
+export const API_KEY_SCOPES = [
+  "departments:read",
+  "departments:write",
+  "folders:read",
+  "folders:write",
+  "resources:read",
+  "resources:write",
+  "uploads:read",
+  "uploads:write",
+  "users:read",
+];
+
+/**
+ * ApiKey Schema
+ * Long-lived credential for bots and integrations.
+ * - personal: acts as its owner, managed by the owner
+ * - service:  integration key created by a co-manager, managed by co-managers
+ * Only the SHA-256 hash of the key is stored; the public prefix
+ * (gdg_xxxxxxxx) identifies it in listings and logs.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      trim: true,
+      maxlength: [60, "Key name cannot exceed 60 characters"],
+    },
+    type: {
+      type: String,
+      enum: ["personal", "service"],
+      default: "personal",
+    },
+    // Account the key acts as
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: [(scopes) => scopes.length > 0, "At least one scope is required"],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+      trim: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Hash a key before storing or comparing it
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+};
+
+// Generate a new key: gdg_<prefix id>_<secret>
+apiKeySchema.statics.generate = function () {
+  const prefix = `${API_KEY_MARKER}${crypto.randomBytes(4).toString("hex")}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString("base64url")}`;
+  return { key, prefix, keyHash: this.hashKey(key) };
+};
+
+// Find the usable key matching a raw key (null if unknown, revoked or expired)
+apiKeySchema.statics.findByKey = async function (key) {
+  const prefix = key.split("_").slice(0, 2).join("_");
+  const apiKey = await this.findOne({ prefix }).select("+keyHash");
+  if (!apiKey || !apiKey.isValid()) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, "hex");
+  const actual = Buffer.from(this.hashKey(key), "hex");
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+// Check whether the key can still be used
+apiKeySchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Record usage, at most once a minute to spare writes
+apiKeySchema.methods.touch = async function (ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) return;
+  await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: new Date(), lastUsedIp: ip });
+};
+
+// Current state of the key
+apiKeySchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
+// Indexes
+apiKeySchema.index({ user: 1, createdAt: -1 });
+apiKeySchema.index({ type: 1, createdAt: -1 });
+
+// Ensure virtuals are included in JSON
+apiKeySchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  },
+});
+apiKeySchema.set("toObject", { virtuals: true });
+
+export default mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+/**
+ * ArchiveBatch Schema
+ * Everything archived together by one cascade (department → folders →
+ * resources, or folder → resources), so a restore brings back exactly that
+ * set. Items already archived or trashed before the cascade are not part of it.
+ */
+const archiveBatchSchema = new mongoose.Schema(
+  {
+    // What was archived: the whole department or a single folder
+    scope: {
+      type: String,
+      enum: ["department", "folder"],
+      required: true,
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: true,
+    },
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Folder",
+    },
+    folders: [{ type: mongoose.Schema.Types.ObjectId, ref: "Folder" }],
+    resources: [{ type: mongoose.Schema.Types.ObjectId, ref: "Resource" }],
+    status: {
+      type: String,
+      enum: ["archived", "restored"],
+      default: "archived",
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    restoredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    restoredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Number of items of each kind in the batch
+archiveBatchSchema.virtual("counts").get(function () {
+  return {
+    departments: this.scope === "department" ? 1 : 0,
+    folders: this.folders.length,
+    resources: this.resources.length,
+  };
+});
+
+// Indexes
+archiveBatchSchema.index({ department: 1, createdAt: -1 });
+archiveBatchSchema.index({ folder: 1, status: 1 });
+
+// Ensure virtuals are included in JSON
+archiveBatchSchema.set("toJSON", { virtuals: true });
+archiveBatchSchema.set("toObject", { virtuals: true });
+
+export default mongoose.model("ArchiveBatch", archiveBatchSchema);
@@ -40,6 +40,11 @@ const departmentSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Set while archived by a cascade (see ArchiveBatch)
+    archiveBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ArchiveBatch",
+    },
   },
   {
     timestamps: true,
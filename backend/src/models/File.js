@@ -46,6 +46,10 @@ const fileSchema = new mongoose.Schema(
       enum: ["image", "video", "raw", "auto", "link"],
       default: "auto",
     },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
   {
     timestamps: true,
@@ -56,5 +60,6 @@ const fileSchema = new mongoose.Schema(
 fileSchema.index({ type: 1 });
 fileSchema.index({ resourceType: 1 });
 fileSchema.index({ createdAt: -1 });
+fileSchema.index({ uploadedBy: 1 });
 
 export default mongoose.model("File", fileSchema);
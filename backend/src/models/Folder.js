@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Deepest level a sub-folder can be at (root folders are at depth 0)
+export const MAX_FOLDER_DEPTH = 4;
+
 const folderSchema = new mongoose.Schema(
   {
     name: {
@@ -24,6 +27,25 @@ const folderSchema = new mongoose.Schema(
       ref: "Department",
       required: [true, "Department is required"],
     },
+    // Parent folder (null for a folder at the root of its department)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Folder",
+      default: null,
+    },
+    // Every folder above this one, root first (kept in sync on move)
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Folder",
+      },
+    ],
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: [MAX_FOLDER_DEPTH, `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`],
+    },
     // Visual styling
     color: {
       type: String,
@@ -53,6 +75,11 @@ const folderSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Set while archived by a cascade (see ArchiveBatch)
+    archiveBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ArchiveBatch",
+    },
   },
   {
     timestamps: true,
@@ -70,8 +97,12 @@ folderSchema.pre("save", function (next) {
   next();
 });
 
-// Compound unique index: same folder name can't exist twice in same department
-folderSchema.index({ name: 1, department: 1 }, { unique: true });
+// Compound unique index: same folder name can't exist twice in the same parent
+folderSchema.index({ name: 1, department: 1, parent: 1 }, { unique: true });
+
+// Indexes for tree queries
+folderSchema.index({ parent: 1, order: 1 });
+folderSchema.index({ ancestors: 1 });
 
 // Index for search
 folderSchema.index({ name: "text", description: "text" });
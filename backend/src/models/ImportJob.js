@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+// Days a finished import stays available for polling
+const IMPORT_JOB_RETENTION_DAYS = 30;
+
+/**
+ * ImportJob Schema
+ * A CSV / JSON import of links, validated up front and then created row by
+ * row in the background. Rows are numbered from 1 (first data line of a CSV,
+ * first item of a JSON array).
+ */
+const importJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "json"],
+      required: true,
+    },
+    filename: String,
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+
+    // Rows of the file, rows that passed validation (queued) and progress
+    totalRows: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    createdCount: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+
+    // Rows rejected by validation or failing on creation
+    rowErrors: [
+      {
+        _id: false,
+        row: Number,
+        messages: [String],
+      },
+    ],
+    // Resources created, by row
+    created: [
+      {
+        _id: false,
+        row: Number,
+        resource: { type: mongoose.Schema.Types.ObjectId, ref: "Resource" },
+      },
+    ],
+
+    // Validated resource data still to create (internal)
+    rows: {
+      type: [
+        {
+          _id: false,
+          row: Number,
+          data: mongoose.Schema.Types.Mixed,
+        },
+      ],
+      select: false,
+    },
+
+    // Process running the job, and when it last saved progress (a job whose
+    // runner went silent can be claimed by another process)
+    runner: String,
+    heartbeatAt: Date,
+
+    startedAt: Date,
+    finishedAt: Date,
+    // Why the whole job failed
+    error: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+importJobSchema.index({ user: 1, createdAt: -1 });
+importJobSchema.index({ status: 1 });
+// Finished jobs expire (unfinished ones have no finishedAt)
+importJobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: IMPORT_JOB_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+export default mongoose.model("ImportJob", importJobSchema);
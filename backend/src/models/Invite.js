@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { ROLES } from "../utils/permissions.js";
+
+/**
+ * Invite Schema
+ * Expiring, single- or multi-use code that lets someone register
+ * directly with a role in a department
+ */
+const inviteSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "member",
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+    },
+    // Optional: only this address can use the invite
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    maxUses: {
+      type: Number,
+      default: 1,
+      min: [1, "An invite must allow at least one use"],
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    usedBy: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        usedAt: { type: Date, default: Date.now },
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Generate a random, URL-safe invite code
+inviteSchema.statics.generateCode = function () {
+  return crypto.randomBytes(12).toString("base64url");
+};
+
+// Atomically consume one use of a valid invite (null if unusable)
+inviteSchema.statics.claim = function (code, email) {
+  return this.findOneAndUpdate(
+    {
+      code,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ["$uses", "$maxUses"] },
+      $or: [{ email: null }, { email: email.toLowerCase() }],
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+// Current state of the invite
+inviteSchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.uses >= this.maxUses) return "used";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
+// Indexes
+inviteSchema.index({ department: 1, createdAt: -1 });
+inviteSchema.index({ expiresAt: 1 });
+
+// Ensure virtuals are included in JSON
+inviteSchema.set("toJSON", { virtuals: true });
+inviteSchema.set("toObject", { virtuals: true });
+
+export default mongoose.model("Invite", inviteSchema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+/**
+ * LoginAudit Schema
+ * One entry per login attempt (successful or not)
+ */
+const loginAuditSchema = new mongoose.Schema(
+  {
+    // Null when the email does not match any account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: [
+        "success",
+        "invalid-password",
+        "invalid-2fa",
+        "unknown-user",
+        "locked",
+        "throttled",
+      ],
+      default: "success",
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+loginAuditSchema.index({ user: 1, createdAt: -1 });
+loginAuditSchema.index({ email: 1, createdAt: -1 });
+// Keep audit entries for 90 days
+loginAuditSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model("LoginAudit", loginAuditSchema);
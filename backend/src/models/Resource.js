@@ -66,6 +66,17 @@ const resourceSchema = new mongoose.Schema(
       
     },
 
+    // Set on copies made with their folder (see utils/folderTransfer.js):
+    // uploadedBy stays the author of the original
+    copiedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resource",
+    },
+    copiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
     // Contributors
     contributors: [{
       type: String,
@@ -98,11 +109,53 @@ const resourceSchema = new mongoose.Schema(
     // Multiple files per resource
     files: [fileSchema],
 
-    // Soft delete
+    // Position inside its folder (manual ordering, see utils/ordering.js)
+    order: {
+      type: Number,
+      default: 0,
+    },
+
+    // Latest revision number (see ResourceRevision)
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+
+    // Soft delete (trash bin, see utils/trash.js)
     isActive: {
       type: Boolean,
       default: true,
     },
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set while archived by a cascade (see ArchiveBatch)
+    archiveBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ArchiveBatch",
+    },
+
+    // Import job and row that created it (a resumed job never creates a row twice)
+    importJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportJob",
+      select: false,
+    },
+    importRow: {
+      type: Number,
+      select: false,
+    },
+
+    // Text from each word start of the title, tags and contributors to the
+    // next space, lower-cased (partial-word search, see searchTokensOf)
+    searchTokens: {
+      type: [String],
+      select: false,
+    },
 
     uploadedAt: { 
       type: Date, 
@@ -115,11 +168,59 @@ const resourceSchema = new mongoose.Schema(
 );
 
 // Indexes for faster search and queries
-resourceSchema.index({ title: "text", description: "text", tags: "text" });
+// Text search ranks title matches first, then tags (see utils/resourceSearch.js)
+resourceSchema.index(
+  { title: "text", tags: "text", description: "text", contributors: "text" },
+  {
+    name: "resource_text",
+    weights: { title: 10, tags: 5, contributors: 2, description: 1 },
+  }
+);
 resourceSchema.index({ department: 1, folder: 1, isActive: 1 });
+resourceSchema.index({ folder: 1, order: 1 });
 resourceSchema.index({ uploadedBy: 1 });
 resourceSchema.index({ createdAt: -1 });
 resourceSchema.index({ type: 1 });
+resourceSchema.index({ isActive: 1, deletedAt: 1 });
+// Partial words: anchored regexes ("^kot") scan this index by prefix
+resourceSchema.index({ searchTokens: 1 });
+resourceSchema.index(
+  { importJob: 1, importRow: 1 },
+  { unique: true, partialFilterExpression: { importJob: { $exists: true } } }
+);
+
+// Longest search token kept (longer partial words are matched whole by the text index)
+const SEARCH_TOKEN_LENGTH = 40;
+
+/**
+ * Search tokens of some texts: "Intro to Node.js" → intro, to, node.js, js
+ * A query word matches the start of a word exactly when it is the prefix of
+ * one of these tokens (query words hold no spaces).
+ * @param {Array<String>} texts
+ * @returns {Array<String>}
+ */
+export const searchTokensOf = (texts) => {
+  const tokens = new Set();
+  texts.filter(Boolean).forEach((text) => {
+    const wordStarts = text.toLowerCase().matchAll(/(?<![\p{L}\p{N}])(?=([\p{L}\p{N}]\S*))/gu);
+    for (const [, token] of wordStarts) {
+      tokens.add(token.slice(0, SEARCH_TOKEN_LENGTH));
+    }
+  });
+  return [...tokens];
+};
+
+// Keep the search tokens in step with the searchable fields (runs for save()
+// and insertMany(), which both validate)
+resourceSchema.pre("validate", function () {
+  if (this.isNew || ["title", "tags", "contributors"].some((path) => this.isModified(path))) {
+    this.searchTokens = searchTokensOf([
+      this.title,
+      ...(this.tags || []),
+      ...(this.contributors || []),
+    ]);
+  }
+});
 
 // Virtual for favorite count
 resourceSchema.virtual("favoriteCount").get(function () {
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+const contentFileSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    format: String,
+    status: {
+      type: String,
+      enum: ["indexed", "failed", "unsupported", "too-large"],
+      required: true,
+    },
+    // Characters of text extracted (text may be cut, see utils/contentExtraction.js)
+    chars: { type: Number, default: 0 },
+    error: String,
+    text: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+/**
+ * ResourceContent Schema
+ * Text extracted from the files of a file resource (main file and added
+ * files), kept apart from the resource so document contents are searched
+ * separately from its metadata. Filled by the content indexer (jobs/contentIndexer.js).
+ */
+const resourceContentSchema = new mongoose.Schema(
+  {
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resource",
+      required: true,
+      unique: true,
+    },
+    // pending: (re)indexing queued; failed: some file could not be downloaded
+    // or read, retried by the indexing job
+    status: {
+      type: String,
+      enum: ["pending", "indexed", "failed"],
+      default: "pending",
+    },
+    files: [contentFileSchema],
+    attempts: { type: Number, default: 0 },
+    indexedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+resourceContentSchema.index({ "files.text": "text" }, { name: "content_text" });
+resourceContentSchema.index({ status: 1, attempts: 1 });
+
+export default mongoose.model("ResourceContent", resourceContentSchema);
@@ -0,0 +1,187 @@
+import mongoose from "mongoose";
+
+// Resource fields captured by every revision
+export const REVISION_FIELDS = [
+  "title",
+  "description",
+  "url",
+  "publicId",
+  "format",
+  "size",
+  "linkType",
+  "folder",
+  "department",
+  "tags",
+  "contributors",
+  "files",
+];
+
+const revisionFileSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  publicId: { type: String },
+  format: String,
+  size: Number,
+  uploadedAt: Date,
+});
+
+/**
+ * ResourceRevision Schema
+ * Immutable snapshot of a resource's metadata after each change.
+ * Cloudinary files referenced by a revision are kept (never destroyed on
+ * update) so any revision can be restored.
+ */
+const resourceRevisionSchema = new mongoose.Schema(
+  {
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resource",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "restore"],
+      required: true,
+    },
+    // Version this one was restored from (action = restore)
+    restoredFrom: {
+      type: Number,
+    },
+    // Fields that differ from the previous revision
+    changedFields: [String],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Snapshot
+    title: String,
+    description: String,
+    url: String,
+    publicId: String,
+    format: String,
+    size: Number,
+    linkType: String,
+    folder: { type: mongoose.Schema.Types.ObjectId, ref: "Folder" },
+    department: { type: mongoose.Schema.Types.ObjectId, ref: "Department" },
+    tags: [String],
+    contributors: [String],
+    files: [revisionFileSchema],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Comparable form of a snapshot value (IDs as strings, files by content)
+ * @param {String} field - Field name
+ * @param {*} value - Raw value
+ * @returns {String} JSON
+ */
+const normalize = (field, value) => {
+  if (value === undefined || value === null || value === "") return "null";
+  if (field === "files") {
+    return JSON.stringify(
+      value.map(({ url, publicId, format, size }) => ({ url, publicId, format, size }))
+    );
+  }
+  if (Array.isArray(value)) return JSON.stringify([...value].map(String));
+  return JSON.stringify(String(value));
+};
+
+/**
+ * Metadata snapshot of a resource
+ * @param {Object} resource - Resource document
+ * @returns {Object}
+ */
+const snapshotOf = (resource) =>
+  Object.fromEntries(
+    REVISION_FIELDS.map((field) => {
+      const value = resource[field];
+      if (field === "files") return [field, (value || []).map((file) => file.toObject?.() || file)];
+      if (Array.isArray(value)) return [field, [...value]];
+      return [field, value?._id || value];
+    })
+  );
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object} a - Snapshot or revision
+ * @param {Object} b - Snapshot or revision
+ * @returns {Array} [{ field, from, to }]
+ */
+export const diffSnapshots = (a, b) =>
+  REVISION_FIELDS.filter((field) => normalize(field, a[field]) !== normalize(field, b[field])).map(
+    (field) => ({ field, from: a[field] ?? null, to: b[field] ?? null })
+  );
+
+// Latest revision of a resource
+resourceRevisionSchema.statics.latest = function (resourceId) {
+  return this.findOne({ resource: resourceId }).sort({ version: -1 });
+};
+
+// Record the current state as the first revision if the resource has none
+// (resources created before history existed); call before changing it
+resourceRevisionSchema.statics.ensureBaseline = async function (resource, userId) {
+  if (await this.exists({ resource: resource._id })) return;
+
+  await this.create({
+    ...snapshotOf(resource),
+    resource: resource._id,
+    version: resource.currentVersion || 1,
+    action: "create",
+    createdBy: userId || resource.uploadedBy,
+  });
+};
+
+// Save a changed resource and record its new revision (inside the
+// transaction of `session` when given)
+// Returns the revision, or null when no tracked field changed
+resourceRevisionSchema.statics.commit = async function (
+  resource,
+  { userId, action = "update", restoredFrom, session = null } = {}
+) {
+  const previous = await this.latest(resource._id).session(session);
+  const snapshot = snapshotOf(resource);
+  const changes = previous ? diffSnapshots(previous, snapshot) : [];
+
+  if (previous && changes.length === 0) {
+    await resource.save({ session });
+    return null;
+  }
+
+  resource.currentVersion = (previous?.version || 0) + 1;
+  await resource.save({ session });
+
+  const [revision] = await this.create(
+    [
+      {
+        ...snapshot,
+        resource: resource._id,
+        version: resource.currentVersion,
+        action: previous ? action : "create",
+        restoredFrom,
+        changedFields: changes.map((change) => change.field),
+        createdBy: userId,
+      },
+    ],
+    { session }
+  );
+  return revision;
+};
+
+// Revisions are immutable: block query-based updates
+resourceRevisionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function () {
+  throw new Error("Resource revisions cannot be modified");
+});
+
+// Indexes
+resourceRevisionSchema.index({ resource: 1, version: -1 }, { unique: true });
+resourceRevisionSchema.index({ publicId: 1 }, { sparse: true });
+
+export default mongoose.model("ResourceRevision", resourceRevisionSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+/**
+ * RoleRequest Schema
+ * A visitor asking to become a member of a department
+ */
+const roleRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    requestedRole: {
+      type: String,
+      enum: ["member"],
+      default: "member",
+    },
+    // Department the user wants to join
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+    },
+    motivation: {
+      type: String,
+      trim: true,
+      required: [true, "Motivation is required"],
+      maxlength: [1000, "Motivation cannot exceed 1000 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    // Review by a co-manager
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Review note cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+roleRequestSchema.index({ status: 1, createdAt: -1 });
+roleRequestSchema.index({ user: 1, createdAt: -1 });
+roleRequestSchema.index({ department: 1, status: 1 });
+// Only one pending request per user
+roleRequestSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+export default mongoose.model("RoleRequest", roleRequestSchema);
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+/**
+ * Session Schema
+ * One document per login (a refresh-token "family").
+ * Only the hash of the current refresh token is stored; every refresh
+ * rotates it, and presenting an older token revokes the whole session.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    // SHA-256 of the refresh token currently valid for this session
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Number of times the refresh token has been rotated
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+    // Device info
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Revocation
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "reuse-detected", "password-changed", "role-changed"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Hash a refresh token before storing or comparing it
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Revoke every active session of a user (optionally keeping the current one)
+sessionSchema.statics.revokeAllForUser = function (userId, reason = "revoked", exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(
+    query,
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Check whether the session can still be used
+sessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = async function (reason = "revoked") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
@@ -1,5 +1,17 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import { verifyTotp } from "../utils/totp.js";
+import { ROLES } from "../utils/permissions.js";
+
+// Password reset links are valid for 30 minutes
+export const PASSWORD_RESET_EXPIRE_MINUTES = 30;
+
+// Login brute-force protection
+export const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+export const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+// Failures allowed before progressive delays kick in
+const LOGIN_FREE_ATTEMPTS = 3;
 
 const userSchema = new mongoose.Schema(
   {
@@ -29,16 +41,28 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["visitor", "member", "co-manager"],
+      enum: ROLES,
       default: "member",
     },
     department: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Department",
     },
+    // Departments a co-manager / lead can manage (super-admins manage all)
+    managedDepartments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Department",
+      },
+    ],
     avatar: {
       type: String, // URL to avatar image
     },
+    // Cloudinary ID of an uploaded avatar (removed when replaced)
+    avatarPublicId: {
+      type: String,
+      select: false,
+    },
     bio: {
       type: String,
       maxlength: [200, "Bio cannot exceed 200 characters"],
@@ -63,9 +87,66 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // New address waiting for confirmation (self-service email change)
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // Last time a verification email was sent (resend throttling)
+    emailVerificationSentAt: {
+      type: Date,
+    },
     lastLogin: {
       type: Date,
     },
+    // Two-factor authentication (TOTP)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated during enrolment, until the first code is confirmed
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Hashed single-use recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted time step (a code can't be replayed)
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    // Brute-force protection
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    // Password reset (hashed one-time token)
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
     // Statistics
     resourcesUploaded: {
       type: Number,
@@ -106,10 +187,148 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Hash a one-time token before storing or looking it up
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Generate a password reset token (only its hash is stored)
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetToken = this.constructor.hashToken(resetToken);
+  this.passwordResetExpires = new Date(
+    Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000
+  );
+
+  return resetToken;
+};
+
+// Check if the account is temporarily locked
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Milliseconds to wait before the next login attempt is accepted
+// (1s, 2s, 4s... after the free attempts, until the account locks)
+userSchema.methods.getLoginDelay = function () {
+  if (this.isLocked()) {
+    return this.lockUntil - Date.now();
+  }
+
+  const extraFailures = this.failedLoginAttempts - LOGIN_FREE_ATTEMPTS;
+  if (extraFailures < 0 || !this.lastFailedLoginAt) return 0;
+
+  const delay = 1000 * 2 ** extraFailures;
+  return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now());
+};
+
+// Fields of the failed-login counter (kept in sync by the methods below)
+const LOGIN_ATTEMPT_FIELDS = "failedLoginAttempts lastFailedLoginAt lockUntil";
+
+// Record a failed login and lock the account after too many failures
+// Atomic ($inc on the stored counter): parallel wrong attempts all count,
+// whatever this document held when it was loaded
+userSchema.methods.registerFailedLogin = async function () {
+  const User = this.constructor;
+  const now = new Date();
+
+  // Previous lock has expired: start counting again
+  await User.updateOne(
+    { _id: this._id, lockUntil: { $lte: now } },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+  let fresh = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true, projection: LOGIN_ATTEMPT_FIELDS }
+  );
+
+  if (fresh && fresh.failedLoginAttempts >= LOGIN_MAX_ATTEMPTS && !fresh.isLocked()) {
+    fresh = await User.findOneAndUpdate(
+      { _id: this._id },
+      { lockUntil: new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000) },
+      { new: true, projection: LOGIN_ATTEMPT_FIELDS }
+    );
+  }
+
+  this.syncLoginAttempts(fresh);
+  return this;
+};
+
+// Reload the failed-login counter from the database (another request may
+// have counted a failure since this document was loaded)
+userSchema.methods.reloadLoginAttempts = async function () {
+  const fresh = await this.constructor.findById(this._id).select(LOGIN_ATTEMPT_FIELDS);
+  this.syncLoginAttempts(fresh);
+  return this;
+};
+
+// Copy stored counter values without marking them modified (a later save()
+// must not write them back over newer values)
+userSchema.methods.syncLoginAttempts = function (fresh) {
+  if (!fresh) return;
+  ["failedLoginAttempts", "lastFailedLoginAt", "lockUntil"].forEach((field) => {
+    this.set(field, fresh[field]);
+    this.unmarkModified(field);
+  });
+};
+
+// Clear failed attempts and any lock
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
+// Generate new recovery codes (only their hashes are stored)
+userSchema.methods.createRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map((code) => this.constructor.hashToken(code));
+
+  return codes;
+};
+
+// Verify a TOTP code or consume a recovery code
+// Requires +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep
+// Returns "totp", "recovery" or null; caller must save the user
+userSchema.methods.verifyTwoFactor = function ({ code, recoveryCode }) {
+  if (code && this.twoFactorSecret) {
+    const step = verifyTotp(code, this.twoFactorSecret);
+    if (step !== null && step > (this.twoFactorLastStep ?? -1)) {
+      this.twoFactorLastStep = step;
+      return "totp";
+    }
+  }
+
+  // Request bodies may hold anything: only a string can match
+  if (typeof recoveryCode === "string" && recoveryCode) {
+    const hash = this.constructor.hashToken(recoveryCode.trim().toLowerCase());
+    const index = (this.twoFactorRecoveryCodes || []).indexOf(hash);
+    if (index !== -1) {
+      this.twoFactorRecoveryCodes.splice(index, 1);
+      return "recovery";
+    }
+  }
+
+  return null;
+};
+
 // Remove sensitive fields from JSON response
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastStep;
   delete user.__v;
   return user;
 };
@@ -119,5 +338,6 @@ userSchema.index({ email: 1 });
 userSchema.index({ name: "text", email: "text" });
 userSchema.index({ department: 1 });
 userSchema.index({ role: 1, isActive: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 export default mongoose.model("User", userSchema);
\ No newline at end of file
@@ -0,0 +1,14 @@
+import express from "express";
+import { checkCounters, fixCounters } from "../controllers/adminController.js";
+
+import { protect, authorize, denyApiKeys } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// 🛠️ Super-admins only, logged in (no API keys)
+router.use(protect, denyApiKeys, authorize("admin:maintenance"));
+
+router.get("/counters", checkCounters);
+router.post("/counters/reconcile", fixCounters);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { createApiKey, getApiKeys, revokeApiKey } from "../controllers/apiKeyController.js";
+
+import { protect, authorize, denyApiKeys } from "../middleware/authMiddleware.js";
+import { validateObjectId } from "../middleware/validate.js";
+
+const router = express.Router();
+
+// 🔑 Logged-in users only: an API key can't mint or revoke keys
+router.use(protect, denyApiKeys);
+
+router.post("/", authorize("api-key:create"), createApiKey);
+router.get("/", getApiKeys);
+router.delete("/:id", validateObjectId("id"), revokeApiKey);
+
+export default router;
@@ -1,11 +1,74 @@
 import express from "express";
-import { register, login, getMe } from "../controllers/authController.js";
-import { protect } from "../middleware/authMiddleware.js";
+import {
+  register,
+  login,
+  getMe,
+  getMyPermissions,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  loginTwoFactor,
+} from "../controllers/authController.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactorController.js";
+import {
+  updateMe,
+  updateMyPassword,
+  updateMyAvatar,
+  deleteMyAvatar,
+  updateMyEmail,
+} from "../controllers/profileController.js";
+import { avatarUpload } from "../middleware/multer.js";
+import { protect, denyApiKeys } from "../middleware/authMiddleware.js";
+import { validateObjectId } from "../middleware/validate.js";
 
 const router = express.Router();
 
+// Account & security routes are for logged-in users only (no API keys)
+const account = [protect, denyApiKeys];
+
 router.post("/register", register);
 router.post("/login", login);
-router.get("/me", protect, getMe);
+router.post("/login/2fa", loginTwoFactor);
+router.post("/refresh", refresh);
+router.post("/logout", account, logout);
+router.get("/me", account, getMe);
+router.get("/me/permissions", account, getMyPermissions);
+
+// Self-service profile
+router.patch("/me", account, updateMe);
+router.put("/me/password", account, updateMyPassword);
+router.put("/me/email", account, updateMyEmail);
+router.put("/me/avatar", account, avatarUpload.single("avatar"), updateMyAvatar);
+router.delete("/me/avatar", account, deleteMyAvatar);
+
+// Password reset
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+
+// Email verification
+router.post("/verify-email", verifyEmail);
+router.post("/verify-email/resend", account, resendVerificationEmail);
+
+// Sessions (one per logged-in device)
+router.get("/sessions", account, getSessions);
+router.delete("/sessions/:id", account, validateObjectId("id"), revokeSession);
+
+// Two-factor authentication (TOTP)
+router.get("/2fa", account, getTwoFactorStatus);
+router.post("/2fa/setup", account, setupTwoFactor);
+router.post("/2fa/enable", account, enableTwoFactor);
+router.post("/2fa/disable", account, disableTwoFactor);
+router.post("/2fa/recovery-codes", account, regenerateRecoveryCodes);
 
 export default router;
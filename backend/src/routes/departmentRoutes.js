@@ -6,9 +6,13 @@ import {
   updateDepartment,
   deleteDepartment,
   getDepartmentStats,
+  archiveDepartment,
+  restoreDepartment,
+  getDepartmentArchives,
 } from "../controllers/departmentController.js";
 
-import { protect, restrictTo } from "../middleware/authMiddleware.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { departmentFromParam } from "../middleware/permissionContext.js";
 
 const router = express.Router();
 
@@ -18,12 +22,19 @@ const router = express.Router();
 
 // 📘 Public / Authorized: All roles can view departments
 router.get("/",  getDepartments);
-router.get("/:id", protect, restrictTo("visitor", "member", "co-manager"), getDepartment);
-router.get("/:id/stats", protect, restrictTo("visitor", "member", "co-manager"), getDepartmentStats);
+router.get("/:id", protect, authorize("department:read"), getDepartment);
+router.get("/:id/stats", protect, authorize("department:read"), getDepartmentStats);
 
 // 🏗️ Co-Manager only: Create, Update, Delete
-router.post("/", protect, restrictTo("co-manager"), createDepartment);
-router.put("/:id", protect, restrictTo("co-manager"), updateDepartment);
-router.delete("/:id", protect, restrictTo("co-manager"), deleteDepartment);
+// (co-managers are limited to the departments they manage, super-admins to none)
+router.post("/", protect, authorize("department:create"), createDepartment);
+router.put("/:id", protect, authorize("department:update", departmentFromParam("id")), updateDepartment);
+router.delete("/:id", protect, authorize("department:delete", departmentFromParam("id")), deleteDepartment);
+
+// 🗄️ Co-Manager only: Archive / restore a department with its folders & resources
+const canArchive = authorize("department:archive", departmentFromParam("id"));
+router.get("/:id/archives", protect, canArchive, getDepartmentArchives);
+router.post("/:id/archive", protect, canArchive, archiveDepartment);
+router.post("/:id/restore", protect, canArchive, restoreDepartment);
 
 export default router;
@@ -8,9 +8,23 @@ import {
   deleteFolder,
   getFolderStats,
   getFolderResources,
+  archiveFolder,
+  restoreFolder,
+  getFolderTree,
+  getFolderBreadcrumbs,
+  moveFolder,
+  copyFolder,
+  reorderFolders,
+  reorderFolderResources,
 } from "../controllers/folderController.js";
 
-import { protect, restrictTo } from "../middleware/authMiddleware.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import {
+  departmentFromParam,
+  departmentFromBody,
+  folderFromParam,
+  targetDepartmentFromBody,
+} from "../middleware/permissionContext.js";
 
 const router = express.Router();
 
@@ -18,14 +32,59 @@ const router = express.Router();
 router.get("/", getFolders);
 router.get("/department/:departmentId", getFoldersByDepartment);
 router.get("/:id",  getFolder);
+router.get("/:id/tree", getFolderTree);
+router.get("/:id/breadcrumbs", getFolderBreadcrumbs);
+
+// 🔹 Create / Update / Delete folders (Co-Managers & Leads of the folder's department)
+router.post("/", protect, authorize("folder:create", departmentFromBody("department")), createFolder);
+router.put("/:id", protect, authorize("folder:update", folderFromParam("id")), updateFolder);
+router.delete(
+  "/:id",
+  protect,
+  authorize("folder:delete", folderFromParam("id"), folderFromParam("moveResourcesTo", "body")),
+  deleteFolder
+);
+
+// 🔹 Archive / restore a folder with its resources (Co-Managers & Leads)
+router.post("/:id/archive", protect, authorize("folder:archive", folderFromParam("id")), archiveFolder);
+router.post("/:id/restore", protect, authorize("folder:archive", folderFromParam("id")), restoreFolder);
+
+// 🔹 Move / copy a folder tree to another department or parent folder
+// (both manage the source and target departments; copy: create in the target)
+router.post(
+  "/:id/move",
+  protect,
+  authorize(
+    "folder:move",
+    folderFromParam("id"),
+    departmentFromBody("department"),
+    folderFromParam("parent", "body")
+  ),
+  moveFolder
+);
+router.post(
+  "/:id/copy",
+  protect,
+  authorize(
+    "folder:create",
+    folderFromParam("id"),
+    targetDepartmentFromBody("department", "id"),
+    folderFromParam("parent", "body")
+  ),
+  copyFolder
+);
 
-// 🔹 Create / Update / Delete folders (Co-Manager only)
-router.post("/", protect, restrictTo("co-manager"), createFolder);
-router.put("/:id", protect, restrictTo("co-manager"), updateFolder);
-router.delete("/:id", protect, restrictTo("co-manager"), deleteFolder);
+// 🔹 Drag-and-drop ordering (Co-Managers & Leads of the department)
+router.put(
+  "/department/:departmentId/order",
+  protect,
+  authorize("folder:update", departmentFromParam("departmentId")),
+  reorderFolders
+);
+router.put("/:id/resources/order", protect, authorize("folder:update", folderFromParam("id")), reorderFolderResources);
 
 // 🔹 Folder stats & resources (all logged-in roles)
-router.get("/:id/stats", protect, getFolderStats);
+router.get("/:id/stats", protect, authorize("folder:read"), getFolderStats);
 router.get("/:id/resources",  getFolderResources);
 
 export default router;
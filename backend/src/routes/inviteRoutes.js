@@ -0,0 +1,25 @@
+import express from "express";
+import {
+  createInvite,
+  getInvites,
+  getInvite,
+  revokeInvite,
+  previewInvite,
+} from "../controllers/inviteController.js";
+
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { departmentFromBody, inviteFromParam } from "../middleware/permissionContext.js";
+import { validateObjectId } from "../middleware/validate.js";
+
+const router = express.Router();
+
+// 📘 Public: check an invite code before registering
+router.get("/code/:code", previewInvite);
+
+// 🏗️ Co-Manager only: manage invites
+router.post("/", protect, authorize("invite:manage", departmentFromBody("department")), createInvite);
+router.get("/", protect, authorize("invite:manage"), getInvites);
+router.get("/:id", protect, validateObjectId("id"), authorize("invite:manage", inviteFromParam("id")), getInvite);
+router.delete("/:id", protect, validateObjectId("id"), authorize("invite:manage", inviteFromParam("id")), revokeInvite);
+
+export default router;
@@ -3,6 +3,7 @@ import upload from "../middleware/multer.js";
 import {
   createResource,
   getResources,
+  searchResources,
   getResourceById,
   updateResource,
   deleteResource,
@@ -11,9 +12,28 @@ import {
   trackDownload,
   toggleFavorite,
   getResourceStats,
+  getResourceRevisions,
+  getResourceRevision,
+  diffResourceRevisions,
+  restoreResourceRevision,
+  getTrash,
+  restoreResource,
+  purgeTrashedResource,
+  bulkResources,
+  importResources,
+  getImportJobs,
+  getImportJob,
+  exportResources,
+  getResourceContent,
 } from "../controllers/resourceController.js";
 
-import { protect, restrictTo } from "../middleware/authMiddleware.js";
+import { protect, authorize, requireVerifiedEmail } from "../middleware/authMiddleware.js";
+import {
+  departmentFromBody,
+  departmentFromQuery,
+  resourceFromParam,
+} from "../middleware/permissionContext.js";
+import { validateObjectId } from "../middleware/validate.js";
 
 const router = express.Router();
 
@@ -24,6 +44,18 @@ const router = express.Router();
 // Anyone (even not logged in) can view and download stats
 router.get("/", getResources);               // View all resources (public)
 router.get("/stats", getResourceStats);      // Public statistics
+router.get("/search", searchResources);      // Ranked search with facets (public)
+
+// Trash bin of a department (declared before /:id so "trash" isn't read as an ID)
+router.get("/trash", protect, authorize("resource:trash", departmentFromQuery("department")), getTrash);
+
+// CSV / JSON imports and their progress (before /:id too)
+router.get("/import", protect, authorize("resource:import"), getImportJobs);
+router.get("/import/:jobId", protect, validateObjectId("jobId"), authorize("resource:import"), getImportJob);
+
+// Export as CSV / JSON / ZIP of the files (before /:id too)
+router.get("/export", protect, authorize("resource:export"), exportResources);
+
 router.get("/:id", getResourceById);         // View single resource
 router.post("/:id/download", trackDownload); // Track downloads (public)
 
@@ -32,19 +64,42 @@ router.post("/:id/download", trackDownload); // Track downloads (public)
 // ==========================
 
 // Visitors can log in but CANNOT upload/edit/delete
-// Members and Co-Managers can upload their own
-router.post("/", protect, restrictTo("member", "co-manager"), upload.single("file"), createResource);
-router.put("/:id", protect, restrictTo("member", "co-manager"), upload.single("file"), updateResource);
-router.delete("/:id", protect, restrictTo("member", "co-manager", "co-manager"), deleteResource);
+// Members edit their own; Leads and Co-Managers anything of the departments they manage
+const canUpdate = authorize("resource:update", resourceFromParam("id"));
+
+// Multipart routes check the role before multer buffers the upload, then the
+// body department once multer has parsed it
+router.post("/", protect, authorize("resource:create"), requireVerifiedEmail, upload.single("file"), authorize("resource:create", departmentFromBody("department")), createResource);
+router.put("/:id", protect, authorize("resource:update"), upload.single("file"), authorize("resource:update", resourceFromParam("id"), departmentFromBody("department")), updateResource);
+router.delete("/:id", protect, authorize("resource:delete", resourceFromParam("id")), deleteResource);
+
+// Bulk actions on many resources (each one is checked like the routes above)
+router.post("/bulk", protect, authorize("resource:bulk"), bulkResources);
+
+// Import links from a CSV / JSON file (each row is checked like POST /)
+router.post("/import", protect, authorize("resource:import"), requireVerifiedEmail, upload.single("file"), importResources);
+
+// Co-Managers & Leads: delete any resource of their departments (extra admin power)
+router.delete("/:id/admin-delete", protect, authorize("resource:moderate", resourceFromParam("id")), deleteResource);
+
+// File management (only for Members, Leads & Co-Managers)
+router.patch("/:id/add-files", protect, canUpdate, requireVerifiedEmail, upload.array("files", 10), addFilesToResource);
+router.delete("/:id/remove-file/:fileId", protect, canUpdate, removeFileFromResource);
+
+// Trash bin: restore (same people as delete) or purge for good (Co-Managers)
+router.post("/:id/restore", protect, validateObjectId("id"), authorize("resource:restore", resourceFromParam("id")), restoreResource);
+router.delete("/:id/purge", protect, validateObjectId("id"), authorize("resource:purge", resourceFromParam("id")), purgeTrashedResource);
 
-// Co-Managers only: delete any resource (extra admin power)
-router.delete("/:id/admin-delete", protect, restrictTo("co-manager"), deleteResource);
+// Version history (any logged-in user can browse it, editors can restore)
+router.get("/:id/revisions", protect, validateObjectId("id"), authorize("resource:read"), getResourceRevisions);
+router.get("/:id/revisions/diff", protect, validateObjectId("id"), authorize("resource:read"), diffResourceRevisions);
+router.get("/:id/revisions/:version", protect, validateObjectId("id"), authorize("resource:read"), getResourceRevision);
+router.post("/:id/revisions/:version/restore", protect, validateObjectId("id"), canUpdate, restoreResourceRevision);
 
-// File management (only for Members & Co-Managers)
-router.patch("/:id/add-files", protect, restrictTo("member", "co-manager"), upload.array("files", 10), addFilesToResource);
-router.delete("/:id/remove-file/:fileId", protect, restrictTo("member", "co-manager"), removeFileFromResource);
+// Indexing status of the uploaded documents (content search)
+router.get("/:id/content", protect, validateObjectId("id"), authorize("resource:read"), getResourceContent);
 
 // Toggle favorites (for authenticated users)
-router.post("/:id/favorite", protect, restrictTo("visitor", "member", "co-manager"), toggleFavorite);
+router.post("/:id/favorite", protect, authorize("resource:favorite"), toggleFavorite);
 
 export default router;
@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  createRoleRequest,
+  getMyRoleRequests,
+  getRoleRequests,
+  approveRoleRequest,
+  rejectRoleRequest,
+  cancelRoleRequest,
+} from "../controllers/roleRequestController.js";
+
+import { protect, authorize, denyApiKeys } from "../middleware/authMiddleware.js";
+import { roleRequestFromParam } from "../middleware/permissionContext.js";
+import { validateObjectId } from "../middleware/validate.js";
+
+const router = express.Router();
+
+// 🔹 Requester (visitors ask, anyone can follow their own requests)
+router.post("/", protect, authorize("role-request:create"), createRoleRequest);
+router.get("/me", protect, denyApiKeys, getMyRoleRequests);
+router.delete("/:id", protect, denyApiKeys, validateObjectId("id"), cancelRoleRequest);
+
+// 🏗️ Co-Manager only: review requests
+const reviewScope = authorize("role-request:review", roleRequestFromParam("id"));
+
+router.get("/", protect, authorize("role-request:review"), getRoleRequests);
+router.put("/:id/approve", protect, validateObjectId("id"), reviewScope, approveRoleRequest);
+router.put("/:id/reject", protect, validateObjectId("id"), reviewScope, rejectRoleRequest);
+
+export default router;
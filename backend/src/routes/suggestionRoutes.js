@@ -0,0 +1,9 @@
+import express from "express";
+import { getSuggestions } from "../controllers/suggestionController.js";
+
+const router = express.Router();
+
+// 🔓 Public: autocomplete of the search box
+router.get("/", getSuggestions);
+
+export default router;
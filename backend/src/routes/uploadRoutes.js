@@ -9,7 +9,8 @@ import {
   getAllFiles,
   getUploadStats,
 } from "../controllers/uploadController.js";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { fileFromParam } from "../middleware/permissionContext.js";
 import { validateObjectId } from "../middleware/validate.js";
 
 const router = express.Router();
@@ -24,9 +25,9 @@ router.get("/", getAllFiles);
 /**
  * @route   GET /api/v1/upload/stats
  * @desc    Get upload statistics (total files, size, by type)
- * @access  Private (Admin only)
+ * @access  Private (Co-Manager)
  */
-router.get("/stats", protect, authorize("admin", "superadmin"), getUploadStats);
+router.get("/stats", protect, authorize("upload:stats"), getUploadStats);
 
 /**
  * @route   GET /api/v1/upload/:id
@@ -38,29 +39,29 @@ router.get("/:id", validateObjectId("id"), getFile);
 /**
  * @route   POST /api/v1/upload/file
  * @desc    Upload single file to Cloudinary
- * @access  Private
+ * @access  Private (Member, Lead, Co-Manager)
  */
-router.post("/file", protect, upload.single("file"), uploadFile);
+router.post("/file", protect, authorize("upload:create"), upload.single("file"), uploadFile);
 
 /**
  * @route   POST /api/v1/upload/files
  * @desc    Upload multiple files to Cloudinary
- * @access  Private
+ * @access  Private (Member, Lead, Co-Manager)
  */
-router.post("/files", protect, upload.array("files", 10), uploadMultipleFiles);
+router.post("/files", protect, authorize("upload:create"), upload.array("files", 10), uploadMultipleFiles);
 
 /**
  * @route   POST /api/v1/upload/link
  * @desc    Add external link (Google Drive, Dropbox, etc.)
- * @access  Private
+ * @access  Private (Member, Lead, Co-Manager)
  */
-router.post("/link", protect, addLink);
+router.post("/link", protect, authorize("upload:create"), addLink);
 
 /**
  * @route   DELETE /api/v1/upload/:id
  * @desc    Delete file from Cloudinary and database
- * @access  Private (Admin or file owner)
+ * @access  Private (Co-Manager or file owner)
  */
-router.delete("/:id", protect, validateObjectId("id"), deleteFile);
+router.delete("/:id", protect, validateObjectId("id"), authorize("upload:delete", fileFromParam("id")), deleteFile);
 
 export default router;
@@ -8,57 +8,50 @@ import {
   deleteUser,
   getUserStats,
   getUserResources,
+  unlockUser,
+  getUserLoginHistory,
+  updateManagedDepartments,
 } from "../controllers/userController.js";
 
-import { protect, restrictTo } from "../middleware/authMiddleware.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { userFromParam } from "../middleware/permissionContext.js";
 
 const router = express.Router();
+const targetUser = userFromParam("id");
 
 /* ==============================
    🔹 Co-Manager (Full Access)
    ============================== */
 
 // Only Co-Managers can manage users completely
-router.post("/", protect, restrictTo("co-manager"), createUser);          // Create user
-router.get("/", protect, restrictTo("co-manager"), getUsers);             // Get all users
-router.put("/:id", protect, restrictTo("co-manager"), updateUser);        // Update user
-router.put("/:id/password", protect, restrictTo("co-manager"), updatePassword);
-router.delete("/:id", protect, restrictTo("co-manager"), deleteUser);     // Delete user (soft)
+router.post("/", protect, authorize("user:create"), createUser);          // Create user
+router.get("/", protect, authorize("user:list"), getUsers);               // Get all users
+router.put("/:id", protect, authorize("user:update"), updateUser);        // Update user
+router.put("/:id/password", protect, authorize("user:update-password"), updatePassword);
+router.delete("/:id", protect, authorize("user:delete"), deleteUser);     // Delete user (soft)
+router.post("/:id/unlock", protect, authorize("user:unlock"), unlockUser); // Unlock after failed logins
+
+// Only Super-Admins decide which departments co-managers / leads manage
+router.put("/:id/managed-departments", protect, authorize("user:assign-departments"), updateManagedDepartments);
 
 /* ==============================
    🔸 Restricted Access
    ============================== */
 
 // Everyone can view their own profile OR Co-Manager can view anyone
-router.get("/:id", protect, async (req, res, next) => {
-  try {
-    if (req.user.role === "co-manager" || req.user._id.toString() === req.params.id) {
-      return getUser(req, res, next);
-    }
-    res.status(403).json({ success: false, message: "Access denied" });
-  } catch (error) {
-    next(error);
-  }
-});
+router.get("/:id", protect, authorize("user:read", targetUser), getUser);
 
 /* ==============================
    📊 Stats and Resources
    ============================== */
 
 // Get user stats — Co-Manager only
-router.get("/:id/stats", protect, restrictTo("co-manager"), getUserStats);
+router.get("/:id/stats", protect, authorize("user:stats"), getUserStats);
+
+// Get user resources — self or Co-Manager
+router.get("/:id/resources", protect, authorize("user:resources", targetUser), getUserResources);
 
-// Get user resources
-router.get("/:id/resources", protect, async (req, res, next) => {
-  try {
-    // Allow access if user is co-manager OR viewing their own resources
-    if (req.user.role === "co-manager" || req.user._id.toString() === req.params.id) {
-      return getUserResources(req, res, next);
-    }
-    res.status(403).json({ success: false, message: "Access denied" });
-  } catch (error) {
-    next(error);
-  }
-});
+// Get login history — self or Co-Manager
+router.get("/:id/login-history", protect, authorize("user:login-history", targetUser), getUserLoginHistory);
 
 export default router;
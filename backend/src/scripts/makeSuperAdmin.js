@@ -0,0 +1,41 @@
+// src/scripts/makeSuperAdmin.js
+// Promote an existing user to super-admin (bootstrap the first one)
+// Usage: npm run make-super-admin -- jane@example.com
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import User from "../models/User.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "../../.env") });
+
+const email = process.argv[2];
+
+if (!email) {
+  console.error("❌ Usage: npm run make-super-admin -- <email>");
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role: "super-admin" },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`❌ No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.name} <${user.email}> is now a super-admin`);
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,30 @@
+// src/scripts/purgeTrash.js
+// Purge resources trashed for longer than TRASH_RETENTION_DAYS (same as the
+// scheduled job, for deployments that run it from an external cron)
+// Usage: npm run purge-trash
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "../../.env") });
+
+// Imported after dotenv so TRASH_RETENTION_DAYS is read from .env
+const { purgeExpiredTrash, TRASH_RETENTION_DAYS } = await import("../utils/trash.js");
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { purged, failed } = await purgeExpiredTrash();
+  console.log(
+    `✅ ${purged} resource(s) purged, ${failed} failed (retention: ${TRASH_RETENTION_DAYS} days)`
+  );
+  if (failed > 0) process.exitCode = 1;
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
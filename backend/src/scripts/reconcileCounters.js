@@ -0,0 +1,36 @@
+// src/scripts/reconcileCounters.js
+// Recompute the stored resource / folder counters and list the ones that were
+// wrong (same as the scheduled job, for deployments that run it from an external cron)
+// Usage: npm run reconcile-counters            (fix)
+//        npm run reconcile-counters -- --dry-run (report only)
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { reconcileCounters } from "../utils/counters.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "../../.env") });
+
+const dryRun = process.argv.includes("--dry-run");
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { checked, discrepancies, fixed } = await reconcileCounters({ fix: !dryRun });
+
+  discrepancies.forEach(({ model, _id, name, field, stored, actual }) =>
+    console.log(`⚠️  ${model} ${name || _id} ${field}: stored ${stored}, actual ${actual}`)
+  );
+  console.log(
+    `✅ Checked ${Object.entries(checked)
+      .map(([model, count]) => `${count} ${model}(s)`)
+      .join(", ")}: ${discrepancies.length} out of sync` + (dryRun ? " (dry run)" : `, ${fixed} fixed`)
+  );
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,349 @@
+// src/scripts/securityChecks.js
+// Behaviour checks of the security paths, offline and without a database:
+// refresh token rotation and reuse detection, login lockout, and the denials
+// of API keys and scoped roles. Model queries are served by in-memory
+// collections (see fakeCollection).
+// Usage: npm run test:security
+
+import assert from "assert/strict";
+import mongoose from "mongoose";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "security-checks-secret";
+process.env.REQUIRE_2FA_FOR_CO_MANAGERS = "false";
+
+// A query nobody stubbed fails at once instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+const { default: User, LOGIN_MAX_ATTEMPTS } = await import("../models/User.js");
+const { default: Session } = await import("../models/Session.js");
+const { default: LoginAudit } = await import("../models/LoginAudit.js");
+const { generateTokenPair } = await import("../utils/tokenGenerator.js");
+const { assertLoginAllowed } = await import("../utils/loginAttempts.js");
+const { checkPermission } = await import("../utils/permissions.js");
+const { protect, authorize, denyApiKeys } = await import("../middleware/authMiddleware.js");
+const { refresh } = await import("../controllers/authController.js");
+
+/**
+ * In-memory stand-in for the collection of a model
+ * Serves findById / findOneAndUpdate / updateOne with the filters and update
+ * operators the checked code uses; like MongoDB, each update applies to one
+ * document atomically.
+ * @param {Object} Model - Mongoose model (its statics are replaced)
+ * @param {Array<Object>} docs - Stored documents
+ * @returns {Map} ID → stored document
+ */
+const fakeCollection = (Model, docs = []) => {
+  const store = new Map(docs.map((doc) => [doc._id.toString(), { ...doc }]));
+
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([field, expected]) => {
+      const value = doc[field];
+      if (expected === null) return value === null || value === undefined;
+      if (expected?.$lte !== undefined) return value != null && value <= expected.$lte;
+      return String(value) === String(expected);
+    });
+
+  const apply = (doc, { $set = {}, $inc = {}, $unset = {}, ...fields }) => {
+    Object.assign(doc, fields, $set);
+    Object.entries($inc).forEach(([field, by]) => (doc[field] = (doc[field] || 0) + by));
+    Object.keys($unset).forEach((field) => delete doc[field]);
+  };
+
+  const hydrate = (doc) => (doc ? Model.hydrate({ ...doc }) : null);
+  const find = (filter) => [...store.values()].find((doc) => matches(doc, filter));
+
+  // Thenable like a Mongoose query; select() is accepted and ignored
+  const query = (run) => ({
+    select() {
+      return this;
+    },
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+  });
+
+  Model.findById = (id) => query(() => hydrate(store.get(String(id))));
+  Model.findOneAndUpdate = (filter, update, options = {}) =>
+    query(() => {
+      const doc = find(filter);
+      if (!doc) return null;
+      const before = { ...doc };
+      apply(doc, update);
+      return hydrate(options.new ? doc : before);
+    });
+  Model.updateOne = (filter, update) =>
+    query(() => {
+      const doc = find(filter);
+      if (doc) apply(doc, update);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    });
+
+  return store;
+};
+
+LoginAudit.create = async () => {};
+
+const fakeRequest = ({ body = {}, headers = {}, ...rest } = {}) => ({
+  ip: "127.0.0.1",
+  body,
+  headers,
+  get: () => "security-checks",
+  ...rest,
+});
+
+/**
+ * Run a handler or middleware like Express would
+ * @returns {Promise<{ status, body, error, next }>}
+ */
+const call = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set() {
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    const next = (err) =>
+      resolve(err ? { status: res.statusCode, error: err.message } : { next: true });
+
+    try {
+      handler(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+const id = () => new mongoose.Types.ObjectId();
+
+let checks = 0;
+const check = async (label, run) => {
+  try {
+    await run();
+    checks += 1;
+  } catch (err) {
+    console.error(`❌ ${label}: ${err.message}`);
+    process.exitCode = 1;
+  }
+};
+
+// ---------- Refresh tokens ----------
+
+const member = {
+  _id: id(),
+  name: "Member",
+  email: "member@example.com",
+  role: "member",
+  isActive: true,
+};
+
+// A logged-in session, as startSession stores it
+const newSession = (sessions) => {
+  const sessionId = id();
+  const tokens = generateTokenPair(member._id, member.role, sessionId);
+  sessions.set(sessionId.toString(), {
+    _id: sessionId,
+    user: member._id,
+    refreshTokenHash: Session.hashToken(tokens.refreshToken),
+    rotationCount: 0,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  return { sessionId, ...tokens };
+};
+
+await check("refresh rotates the token", async () => {
+  fakeCollection(User, [member]);
+  const sessions = fakeCollection(Session);
+  const { sessionId, refreshToken } = newSession(sessions);
+
+  const { status, body } = await call(refresh, fakeRequest({ body: { refreshToken } }));
+  assert.equal(status, 200);
+  assert.notEqual(body.data.refreshToken, refreshToken);
+
+  const stored = sessions.get(sessionId.toString());
+  assert.equal(stored.refreshTokenHash, Session.hashToken(body.data.refreshToken));
+  assert.equal(stored.rotationCount, 1);
+});
+
+await check("reusing a rotated refresh token revokes the session", async () => {
+  fakeCollection(User, [member]);
+  const sessions = fakeCollection(Session);
+  const { sessionId, refreshToken } = newSession(sessions);
+
+  const first = await call(refresh, fakeRequest({ body: { refreshToken } }));
+  const reuse = await call(refresh, fakeRequest({ body: { refreshToken } }));
+  assert.equal(reuse.status, 401);
+  assert.match(reuse.error, /reuse detected/);
+  assert.equal(sessions.get(sessionId.toString()).revokedReason, "reuse-detected");
+
+  // The token issued by the legitimate refresh dies with the session
+  const rotated = first.body.data.refreshToken;
+  const after = await call(refresh, fakeRequest({ body: { refreshToken: rotated } }));
+  assert.equal(after.status, 401);
+});
+
+await check("concurrent refreshes with one token: a single winner", async () => {
+  fakeCollection(User, [member]);
+  const sessions = fakeCollection(Session);
+  const { refreshToken } = newSession(sessions);
+
+  const results = await Promise.all(
+    [1, 2, 3].map(() => call(refresh, fakeRequest({ body: { refreshToken } })))
+  );
+  assert.equal(results.filter(({ status }) => status === 200).length, 1);
+});
+
+const bearer = (token) => fakeRequest({ headers: { authorization: `Bearer ${token}` } });
+
+await check("refresh tokens are not access tokens", async () => {
+  fakeCollection(User, [member]);
+  const sessions = fakeCollection(Session);
+  const { accessToken, refreshToken } = newSession(sessions);
+
+  const asAccess = await call(protect, bearer(refreshToken));
+  assert.equal(asAccess.status, 401);
+
+  const valid = await call(protect, bearer(accessToken));
+  assert.equal(valid.next, true);
+});
+
+await check("access tokens of a revoked session are refused", async () => {
+  fakeCollection(User, [member]);
+  const sessions = fakeCollection(Session);
+  const { sessionId, accessToken } = newSession(sessions);
+  sessions.get(sessionId.toString()).revokedAt = new Date();
+
+  const { status } = await call(protect, bearer(accessToken));
+  assert.equal(status, 401);
+});
+
+// ---------- Login lockout ----------
+
+const lockoutUser = () => ({
+  _id: id(),
+  name: "Target",
+  email: "target@example.com",
+  role: "member",
+  isActive: true,
+  failedLoginAttempts: 0,
+});
+
+await check("parallel failed logins all count and lock the account", async () => {
+  const stored = lockoutUser();
+  const users = fakeCollection(User, [stored]);
+
+  // Every request loaded the user before any failure was counted
+  const copies = Array.from({ length: LOGIN_MAX_ATTEMPTS }, () => User.hydrate({ ...stored }));
+  await Promise.all(copies.map((copy) => copy.registerFailedLogin()));
+
+  const after = users.get(stored._id.toString());
+  assert.equal(after.failedLoginAttempts, LOGIN_MAX_ATTEMPTS);
+  assert.ok(after.lockUntil > Date.now());
+});
+
+await check("a right password is refused once parallel failures locked the account", async () => {
+  const stored = lockoutUser();
+  fakeCollection(User, [stored]);
+
+  const loadedBefore = User.hydrate({ ...stored });
+  const res = { set: () => res, status: (code) => ((res.statusCode = code), res) };
+  await assertLoginAllowed(fakeRequest(), res, loadedBefore);
+
+  const failures = Array.from({ length: LOGIN_MAX_ATTEMPTS }, () => User.hydrate({ ...stored }));
+  await Promise.all(failures.map((copy) => copy.registerFailedLogin()));
+
+  await assert.rejects(
+    assertLoginAllowed(fakeRequest(), res, loadedBefore, { reload: true }),
+    /locked/
+  );
+  assert.equal(res.statusCode, 423);
+});
+
+await check("an expired lock starts the count again", async () => {
+  const stored = {
+    ...lockoutUser(),
+    failedLoginAttempts: LOGIN_MAX_ATTEMPTS,
+    lockUntil: new Date(Date.now() - 1000),
+  };
+  const users = fakeCollection(User, [stored]);
+
+  await User.hydrate({ ...stored }).registerFailedLogin();
+
+  const after = users.get(stored._id.toString());
+  assert.equal(after.failedLoginAttempts, 1);
+  assert.equal(after.lockUntil, undefined);
+});
+
+// ---------- API keys and scoped roles ----------
+
+const department = id();
+const otherDepartment = id();
+const lead = { _id: id(), role: "lead", managedDepartments: [department] };
+const coManager = { _id: id(), role: "co-manager", managedDepartments: [department] };
+
+await check("API keys are refused on actions without a scope", async () => {
+  const req = fakeRequest({ user: coManager, apiKey: { scopes: ["users:read"] } });
+  const { status, error } = await call(authorize("user:create"), req);
+  assert.equal(status, 403);
+  assert.match(error, /not available with an API key/);
+});
+
+await check("API keys need the scope of the action", async () => {
+  const lacking = fakeRequest({ user: coManager, apiKey: { scopes: ["resources:read"] } });
+  const denied = await call(authorize("resource:create"), lacking);
+  assert.equal(denied.status, 403);
+  assert.match(denied.error, /resources:write/);
+
+  const scoped = fakeRequest({ user: coManager, apiKey: { scopes: ["resources:write"] } });
+  assert.equal((await call(authorize("resource:create"), scoped)).next, true);
+});
+
+await check("account routes refuse API keys", async () => {
+  const withKey = await call(denyApiKeys, fakeRequest({ user: member, apiKey: { scopes: [] } }));
+  assert.equal(withKey.status, 403);
+  assert.equal((await call(denyApiKeys, fakeRequest({ user: member }))).next, true);
+});
+
+await check("scoped roles only act on the departments they manage", async () => {
+  const own = { departments: [department] };
+  const other = { departments: [otherDepartment] };
+  const both = { departments: [department, otherDepartment] };
+
+  assert.equal(checkPermission(lead, "folder:create", own).allowed, true);
+  assert.equal(checkPermission(lead, "folder:create", other).reason, "scope");
+  assert.equal(checkPermission(coManager, "department:update", both).reason, "scope");
+  // A target that resolved to nothing is out of scope, not allowed
+  assert.equal(checkPermission(coManager, "resource:purge", { departments: [] }).reason, "scope");
+});
+
+await check("authorize denies a scoped role outside its departments", async () => {
+  const resolveOther = async () => ({ departments: [otherDepartment] });
+  const missingTarget = async () => null;
+
+  const req = fakeRequest({ user: lead });
+  const outside = await call(authorize("folder:update", resolveOther), req);
+  assert.equal(outside.status, 403);
+  assert.match(outside.error, /don't manage this department/);
+
+  const missing = await call(authorize("folder:update", missingTarget), req);
+  assert.equal(missing.status, 403);
+});
+
+await check("members only modify their own resources", async () => {
+  const context = { departments: [department], ownerId: id() };
+  assert.equal(checkPermission(member, "resource:update", context).reason, "ownership");
+  assert.equal(
+    checkPermission(member, "resource:update", { ...context, ownerId: member._id }).allowed,
+    true
+  );
+  assert.equal(checkPermission(member, "resource:moderate", context).reason, "role");
+});
+
+if (!process.exitCode) {
+  console.log(`✅ ${checks} security checks passed`);
+}
@@ -0,0 +1,77 @@
+// src/scripts/syncIndexes.js
+// Bring the indexes of an existing database in line with the schemas: drops
+// indexes the schemas replaced and builds the new ones. Needed once after
+// upgrading from a version with:
+// - the folder name index { name, department } (now { name, department, parent }:
+//   the same name can be reused under different parents)
+// - the unweighted resource text index (now "resource_text")
+// - resources without search tokens (partial-word search, filled in here)
+// Usage: npm run sync-indexes            (apply)
+//        npm run sync-indexes -- --dry-run (list the changes only)
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import Folder from "../models/Folder.js";
+import Resource, { searchTokensOf } from "../models/Resource.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "../../.env") });
+
+const dryRun = process.argv.includes("--dry-run");
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  for (const Model of [Folder, Resource]) {
+    const { toDrop, toCreate } = await Model.diffIndexes();
+
+    if (toDrop.length === 0 && toCreate.length === 0) {
+      console.log(`✅ ${Model.modelName}: indexes up to date`);
+      continue;
+    }
+
+    toDrop.forEach((name) => console.log(`➖ ${Model.modelName}: drop ${name}`));
+    toCreate.forEach((fields) =>
+      console.log(`➕ ${Model.modelName}: create ${JSON.stringify(fields)}`)
+    );
+
+    if (!dryRun) {
+      await Model.syncIndexes();
+      console.log(`✅ ${Model.modelName}: indexes synced`);
+    }
+  }
+
+  const missingTokens = { searchTokens: { $exists: false } };
+  const count = await Resource.countDocuments(missingTokens);
+  if (count > 0) {
+    console.log(`➕ Resource: search tokens of ${count} resource(s)`);
+  }
+
+  if (count > 0 && !dryRun) {
+    let updates = [];
+    const flush = async () => {
+      if (updates.length > 0) await Resource.bulkWrite(updates);
+      updates = [];
+    };
+
+    const cursor = Resource.find(missingTokens).select("title tags contributors").lean().cursor();
+    for await (const { _id, title, tags = [], contributors = [] } of cursor) {
+      updates.push({
+        updateOne: {
+          filter: { _id },
+          update: { searchTokens: searchTokensOf([title, ...tags, ...contributors]) },
+        },
+      });
+      if (updates.length === 500) await flush();
+    }
+    await flush();
+    console.log("✅ Resource: search tokens filled in");
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
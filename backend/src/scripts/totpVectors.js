@@ -0,0 +1,71 @@
+// src/scripts/totpVectors.js
+// Check utils/totp.js against the test vectors of RFC 6238 (appendix B) and
+// RFC 4226 (appendix D), offline and without a database
+// Usage: npm run test:totp
+
+import assert from "assert/strict";
+import { base32Decode, base32Encode, hotp, totp, verifyTotp } from "../utils/totp.js";
+
+// RFC 6238 seeds: the ASCII digits "1234567890" repeated to the key size of each hash
+const seed = (length) => Buffer.from("1234567890".repeat(7).slice(0, length));
+const KEYS = { sha1: seed(20), sha256: seed(32), sha512: seed(64) };
+
+// [Unix time (seconds), SHA-1, SHA-256, SHA-512] (8 digits)
+const TOTP_VECTORS = [
+  [59, "94287082", "46119246", "90693936"],
+  [1111111109, "07081804", "68084774", "25091201"],
+  [1111111111, "14050471", "67062674", "99943326"],
+  [1234567890, "89005924", "91819424", "93441116"],
+  [2000000000, "69279037", "90698825", "38618901"],
+  [20000000000, "65353130", "77737706", "47863826"],
+];
+
+// RFC 4226: counter 0 to 9 (6 digits, SHA-1, key "12345678901234567890")
+const HOTP_VECTORS = [
+  "755224", "287082", "359152", "969429", "338314",
+  "254676", "287922", "162583", "399871", "520489",
+];
+
+let checks = 0;
+const check = (label, run) => {
+  try {
+    run();
+    checks += 1;
+  } catch (err) {
+    console.error(`❌ ${label}: ${err.message}`);
+    process.exitCode = 1;
+  }
+};
+
+HOTP_VECTORS.forEach((expected, counter) =>
+  check(`HOTP counter ${counter}`, () => assert.equal(hotp(KEYS.sha1, counter), expected))
+);
+
+TOTP_VECTORS.forEach(([seconds, ...codes]) =>
+  ["sha1", "sha256", "sha512"].forEach((algorithm, i) =>
+    check(`TOTP ${algorithm} at ${seconds}`, () => {
+      const options = { time: seconds * 1000, digits: 8, algorithm };
+      assert.equal(totp(KEYS[algorithm], options), codes[i]);
+      assert.notEqual(verifyTotp(codes[i], KEYS[algorithm], options), null);
+    })
+  )
+);
+
+check("base32 round trip", () => {
+  const encoded = base32Encode(KEYS.sha1);
+  assert.equal(encoded, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.deepEqual(base32Decode(encoded.toLowerCase()), KEYS.sha1);
+});
+
+check("verifyTotp window", () => {
+  const time = 1111111111 * 1000;
+  const next = totp(KEYS.sha1, { time: time + 30000 });
+  const later = totp(KEYS.sha1, { time: time + 90000 });
+  assert.notEqual(verifyTotp(next, KEYS.sha1, { time }), null);
+  assert.equal(verifyTotp(later, KEYS.sha1, { time }), null);
+  assert.equal(verifyTotp("12345", KEYS.sha1, { time }), null);
+});
+
+if (!process.exitCode) {
+  console.log(`✅ ${checks} TOTP checks passed`);
+}
@@ -21,7 +21,13 @@ import userRoutes from "./routes/userRoutes.js";
 import uploadRoutes from "./routes/uploadRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
 import folderRoutes from "./routes/folderRoutes.js";
+import roleRequestRoutes from "./routes/roleRequestRoutes.js";
+import inviteRoutes from "./routes/inviteRoutes.js";
+import apiKeyRoutes from "./routes/apiKeyRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import suggestionRoutes from "./routes/suggestionRoutes.js";
 import { errorHandler, notFound } from "./middleware/errorHandler.js";
+import { startJobs, stopJobs } from "./jobs/index.js";
 
 // ============================================
 // CONFIGURATION
@@ -109,6 +115,11 @@ app.use("/api/v1/resources", resourceRoutes);
 app.use("/api/v1/departments", departmentRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/upload", uploadRoutes);
+app.use("/api/v1/role-requests", roleRequestRoutes);
+app.use("/api/v1/invites", inviteRoutes);
+app.use("/api/v1/api-keys", apiKeyRoutes);
+app.use("/api/v1/admin", adminRoutes);
+app.use("/api/v1/suggestions", suggestionRoutes);
 
 // Backwards compatibility (optional - remove after migration)
 app.use("/api/resources", resourceRoutes);
@@ -116,6 +127,11 @@ app.use("/api/departments", departmentRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/folders", folderRoutes);  
+app.use("/api/role-requests", roleRequestRoutes);
+app.use("/api/invites", inviteRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/suggestions", suggestionRoutes);
 
 
 // ...
@@ -149,6 +165,11 @@ app.get("/api", (req, res) => {
       resources: "/api/v1/resources",
       departments: "/api/v1/departments",
       users: "/api/v1/users",
+      roleRequests: "/api/v1/role-requests",
+      invites: "/api/v1/invites",
+      apiKeys: "/api/v1/api-keys",
+      admin: "/api/v1/admin",
+      suggestions: "/api/v1/suggestions",
       health: "/health",
     },
   });
@@ -178,6 +199,8 @@ const server = app.listen(PORT, () => {
 ║   Status:      Running ✅                  ║
 ╚════════════════════════════════════════════╝
   `);
+
+  startJobs();
 });
 
 // ============================================
@@ -196,6 +219,7 @@ process.on("unhandledRejection", (err) => {
 // Handle SIGTERM (e.g., from Heroku, Docker)
 process.on("SIGTERM", () => {
   console.log("👋 SIGTERM received. Shutting down gracefully...");
+  stopJobs();
   server.close(() => {
     console.log("✅ Process terminated");
   });
@@ -204,6 +228,7 @@ process.on("SIGTERM", () => {
 // Handle SIGINT (Ctrl+C)
 process.on("SIGINT", () => {
   console.log("\n👋 SIGINT received. Shutting down gracefully...");
+  stopJobs();
   server.close(() => {
     console.log("✅ Process terminated");
     process.exit(0);
@@ -0,0 +1,129 @@
+// src/utils/archive.js
+// Cascading archive / restore
+// - department → its folders → their resources, or folder → its sub-folders →
+//   their resources
+// - each cascade runs in one transaction and is recorded as an ArchiveBatch
+// - stored counters (see utils/counters.js) are recomputed in the same
+//   transaction so they always match what is active
+
+import Department from "../models/Department.js";
+import Folder from "../models/Folder.js";
+import Resource from "../models/Resource.js";
+import ArchiveBatch from "../models/ArchiveBatch.js";
+import { withTransaction } from "./transaction.js";
+import { refreshDepartmentCounts, refreshUserCounts } from "./counters.js";
+
+/**
+ * Archive a department with its active folders and resources
+ * @param {Object} department - Active department
+ * @param {*} userId - User archiving it
+ * @returns {Object} ArchiveBatch
+ */
+export const archiveDepartment = (department, userId) =>
+  withTransaction(async (session) => {
+    const [folders, resources] = await Promise.all([
+      Folder.find({ department: department._id, isActive: true }).select("_id").session(session),
+      Resource.find({ department: department._id, isActive: true })
+        .select("uploadedBy")
+        .session(session),
+    ]);
+
+    const [batch] = await ArchiveBatch.create(
+      [
+        {
+          scope: "department",
+          department: department._id,
+          folders: folders.map((folder) => folder._id),
+          resources: resources.map((resource) => resource._id),
+          archivedBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    const archived = { isActive: false, archiveBatch: batch._id };
+    await Folder.updateMany({ _id: { $in: batch.folders } }, archived, { session });
+    await Resource.updateMany({ _id: { $in: batch.resources } }, archived, { session });
+    await Department.updateOne({ _id: department._id }, archived, { session });
+
+    await refreshDepartmentCounts(department._id, session);
+    await refreshUserCounts(resources.map((resource) => resource.uploadedBy), session);
+
+    return batch;
+  });
+
+/**
+ * Archive a folder with its active sub-folders and their resources
+ * @param {Object} folder - Active folder
+ * @param {*} userId - User archiving it
+ * @returns {Object} ArchiveBatch
+ */
+export const archiveFolder = (folder, userId) =>
+  withTransaction(async (session) => {
+    const subFolders = await Folder.find({ ancestors: folder._id, isActive: true })
+      .select("_id")
+      .session(session);
+    const folderIds = [folder._id, ...subFolders.map((subFolder) => subFolder._id)];
+
+    const resources = await Resource.find({ folder: { $in: folderIds }, isActive: true })
+      .select("uploadedBy")
+      .session(session);
+
+    const [batch] = await ArchiveBatch.create(
+      [
+        {
+          scope: "folder",
+          department: folder.department,
+          folder: folder._id,
+          folders: folderIds,
+          resources: resources.map((resource) => resource._id),
+          archivedBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    const archived = { isActive: false, archiveBatch: batch._id };
+    await Resource.updateMany({ _id: { $in: batch.resources } }, archived, { session });
+    await Folder.updateMany({ _id: { $in: folderIds } }, archived, { session });
+
+    await refreshDepartmentCounts(folder.department, session);
+    await refreshUserCounts(resources.map((resource) => resource.uploadedBy), session);
+
+    return batch;
+  });
+
+/**
+ * Bring back everything an archive batch still holds
+ * (resources purged since then are simply gone)
+ * @param {Object} batch - ArchiveBatch with status "archived"
+ * @param {*} userId - User restoring it
+ * @returns {{ departments: Number, folders: Number, resources: Number }} Restored counts
+ */
+export const restoreArchiveBatch = (batch, userId) =>
+  withTransaction(async (session) => {
+    const restored = { isActive: true, $unset: { archiveBatch: 1 } };
+    const inBatch = { archiveBatch: batch._id };
+    const uploaders = await Resource.distinct("uploadedBy", inBatch).session(session);
+
+    const departments =
+      batch.scope === "department"
+        ? await Department.updateOne({ _id: batch.department, ...inBatch }, restored, { session })
+        : { modifiedCount: 0 };
+    const folders = await Folder.updateMany(inBatch, restored, { session });
+    const resources = await Resource.updateMany(inBatch, restored, { session });
+
+    batch.status = "restored";
+    batch.restoredBy = userId;
+    batch.restoredAt = new Date();
+    await batch.save({ session });
+
+    await refreshDepartmentCounts(batch.department, session);
+    await refreshUserCounts(uploaders, session);
+
+    return {
+      departments: departments.modifiedCount,
+      folders: folders.modifiedCount,
+      resources: resources.modifiedCount,
+    };
+  });
@@ -0,0 +1,191 @@
+// src/utils/bulkResources.js
+// Bulk resource operations (POST /resources/bulk)
+// - every item is checked against the permission of the action, like the
+//   single-resource routes, and applied on its own (one transaction per item):
+//   a denied or failing item never blocks the others
+// - dry run: same checks and the changes each item would get, nothing written
+
+import ResourceRevision from "../models/ResourceRevision.js";
+import Department from "../models/Department.js";
+import { checkPermission } from "./permissions.js";
+import { withTransaction } from "./transaction.js";
+import { recountMovedResource } from "./counters.js";
+import { trashResource, restoreFromTrash, purgeResource } from "./trash.js";
+
+// Most resources a single bulk request may touch
+export const MAX_BULK_ITEMS = 500;
+
+// Action → permission checked on each resource, and the resources it applies
+// to ("active" or "trashed")
+export const BULK_ACTIONS = {
+  "move-folder": { permission: "resource:update", applies: "active" },
+  "move-department": { permission: "resource:update", applies: "active" },
+  "add-tags": { permission: "resource:update", applies: "active" },
+  "remove-tags": { permission: "resource:update", applies: "active" },
+  archive: { permission: "resource:delete", applies: "active" },
+  restore: { permission: "resource:restore", applies: "trashed" },
+  purge: { permission: "resource:purge", applies: "trashed" },
+};
+
+const DENIALS = {
+  role: "Your role can't do this",
+  scope: "You don't manage the department",
+  ownership: "You can only change what you uploaded",
+};
+
+const sameId = (a, b) => String(a?._id || a || null) === String(b?._id || b || null);
+
+/**
+ * Why a resource is not in the state an action applies to
+ * @returns {String|null}
+ */
+const stateError = (resource, applies) => {
+  if (resource.archiveBatch) return "Resource is archived with its folder or department";
+  if (applies === "active" && !resource.isActive) return "Resource is in the trash";
+  if (applies === "trashed" && resource.isActive) return "Resource is not in the trash";
+  return null;
+};
+
+/**
+ * Metadata changes an update action makes to a resource
+ * @param {String} action - Update action
+ * @param {Object} resource - Resource
+ * @param {Object} target - { folder, department, tags }
+ * @returns {Object} { field: { from, to } } (empty when nothing changes)
+ */
+const changesOf = (action, resource, { folder, department, tags }) => {
+  const changes = {};
+
+  if (action === "move-folder") {
+    // A folder of another department takes the resource there
+    const toDepartment = folder ? folder.department : resource.department;
+    if (!sameId(resource.folder, folder)) {
+      changes.folder = { from: resource.folder || null, to: folder ? folder._id : null };
+    }
+    if (!sameId(resource.department, toDepartment)) {
+      changes.department = { from: resource.department, to: toDepartment };
+    }
+  }
+
+  if (action === "move-department" && !sameId(resource.department, department)) {
+    changes.department = { from: resource.department, to: department._id };
+    // Folders belong to a department: the resource leaves its folder
+    if (resource.folder) changes.folder = { from: resource.folder, to: null };
+  }
+
+  if (action === "add-tags") {
+    const added = tags.filter((tag) => !resource.tags.includes(tag));
+    if (added.length > 0) changes.tags = { from: [...resource.tags], to: [...resource.tags, ...added] };
+  }
+
+  if (action === "remove-tags") {
+    const kept = resource.tags.filter((tag) => !tags.includes(tag));
+    if (kept.length !== resource.tags.length) changes.tags = { from: [...resource.tags], to: kept };
+  }
+
+  return changes;
+};
+
+/**
+ * Apply an action to a list of resources, item by item
+ * @param {Object} options
+ * @param {String} options.action - Key of BULK_ACTIONS
+ * @param {Array} options.resources - Resource documents
+ * @param {Object} options.target - { folder (doc|null), department (doc), tags } as the action needs
+ * @param {Object} options.user - Authenticated user
+ * @param {Boolean} options.dryRun - Check only
+ * @returns {Array} [{ _id, title, status, reason?, changes? }], status being
+ *          done | would-apply | unchanged | skipped | denied | failed
+ */
+export const runBulkAction = async ({ action, resources, target, user, dryRun }) => {
+  const { permission, applies } = BULK_ACTIONS[action];
+  const isUpdate = permission === "resource:update";
+  const activeDepartments = new Map();
+
+  const results = [];
+  for (const resource of resources) {
+    const result = { _id: resource._id, title: resource.title };
+    results.push(result);
+
+    const invalidState = stateError(resource, applies);
+    if (invalidState) {
+      Object.assign(result, { status: "skipped", reason: invalidState });
+      continue;
+    }
+
+    const changes = isUpdate ? changesOf(action, resource, target) : {};
+
+    // Moves need the permission in the target department too
+    const departments = [resource.department, changes.department?.to].filter(Boolean);
+    const { allowed, reason } = checkPermission(user, permission, {
+      departments,
+      ownerId: resource.uploadedBy || null,
+    });
+    if (!allowed) {
+      Object.assign(result, { status: "denied", reason: DENIALS[reason] || DENIALS.role });
+      continue;
+    }
+
+    if (isUpdate && Object.keys(changes).length === 0) {
+      result.status = "unchanged";
+      continue;
+    }
+    if (isUpdate) result.changes = changes;
+
+    if (action === "restore") {
+      const key = resource.department.toString();
+      if (!activeDepartments.has(key)) {
+        activeDepartments.set(key, !!(await Department.exists({ _id: key, isActive: true })));
+      }
+      if (!activeDepartments.get(key)) {
+        Object.assign(result, {
+          status: "failed",
+          reason: "The department of this resource no longer exists",
+        });
+        continue;
+      }
+    }
+
+    if (dryRun) {
+      result.status = "would-apply";
+      continue;
+    }
+
+    try {
+      if (isUpdate) {
+        await ResourceRevision.ensureBaseline(resource);
+        const before = { department: resource.department, folder: resource.folder };
+        Object.entries(changes).forEach(([field, { to }]) => {
+          resource[field] = to;
+        });
+        await withTransaction(async (session) => {
+          await ResourceRevision.commit(resource, { userId: user._id, session });
+          await recountMovedResource(before, resource, session);
+        });
+      } else if (action === "archive") {
+        await trashResource(resource, user._id);
+      } else if (action === "restore") {
+        const { restored, folderDropped, reason } = await restoreFromTrash(resource);
+        if (!restored) {
+          Object.assign(result, { status: "failed", reason });
+          continue;
+        }
+        if (folderDropped) result.folderDropped = true;
+      } else if (action === "purge") {
+        const { purged } = await purgeResource(resource);
+        if (!purged) {
+          Object.assign(result, {
+            status: "failed",
+            reason: "Some files could not be deleted from Cloudinary, the resource stays in the trash",
+          });
+          continue;
+        }
+      }
+      result.status = "done";
+    } catch (err) {
+      Object.assign(result, { status: "failed", reason: err.message });
+    }
+  }
+
+  return results;
+};
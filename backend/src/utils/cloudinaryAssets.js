@@ -0,0 +1,45 @@
+// src/utils/cloudinaryAssets.js
+// Cloudinary asset cleanup
+// Resources are uploaded with resource_type "auto", so the stored publicId
+// alone doesn't say whether the asset is an image, a video or a raw file.
+
+import cloudinary from "../config/cloudinary.js";
+
+const RESOURCE_TYPES = ["image", "raw", "video"];
+
+/**
+ * Delete one asset, whatever its resource type
+ * @param {String} publicId - Cloudinary public ID
+ * @returns {Boolean} true if deleted, false if it didn't exist (anymore)
+ */
+export const destroyAsset = async (publicId) => {
+  for (const resourceType of RESOURCE_TYPES) {
+    const { result } = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      invalidate: true,
+    });
+    if (result === "ok") return true;
+  }
+  return false;
+};
+
+/**
+ * Delete several assets, collecting failures instead of stopping at the first
+ * @param {Array<String>} publicIds - Cloudinary public IDs
+ * @returns {{ deleted: Number, missing: Number, failed: Array<String> }}
+ */
+export const destroyAssets = async (publicIds) => {
+  const report = { deleted: 0, missing: 0, failed: [] };
+
+  for (const publicId of publicIds) {
+    try {
+      if (await destroyAsset(publicId)) report.deleted += 1;
+      else report.missing += 1;
+    } catch (err) {
+      console.error(`Cloudinary delete failed for ${publicId}:`, err.message);
+      report.failed.push(publicId);
+    }
+  }
+
+  return report;
+};
@@ -0,0 +1,206 @@
+// src/utils/contentExtraction.js
+// Text of uploaded documents, for content search
+// - PDF (pdf-parse), DOCX and PPTX (zipped XML: text runs of the document /
+//   of each slide in order), TXT and Markdown
+// - files are downloaded from Cloudinary; too large files (or zipped parts
+//   inflating past MAX_ZIP_PART_SIZE / MAX_ZIP_TOTAL_SIZE) and other formats
+//   are reported, not read
+
+import JSZip from "jszip";
+import { PDFParse } from "pdf-parse";
+
+export const EXTRACTABLE_FORMATS = ["pdf", "docx", "pptx", "txt", "md"];
+
+// Largest file downloaded for extraction
+export const MAX_EXTRACT_FILE_SIZE = 25 * 1024 * 1024;
+
+// Text kept per file (keeps content documents far below the 16 MB limit)
+export const MAX_TEXT_LENGTH = 200000;
+
+// Largest uncompressed XML part read from a DOCX / PPTX, and all parts of one
+// file together (a small zip can inflate to gigabytes)
+export const MAX_ZIP_PART_SIZE = 20 * 1024 * 1024;
+export const MAX_ZIP_TOTAL_SIZE = 50 * 1024 * 1024;
+
+const FETCH_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Format of a file, from Cloudinary's format or the URL extension
+ * (Cloudinary has no format for raw uploads such as DOCX)
+ * @param {String} url - File URL
+ * @param {String} [format] - Stored format
+ * @returns {String} Lower-case extension, or ""
+ */
+export const formatOf = (url, format) => {
+  if (format) return format.toLowerCase();
+  try {
+    const match = new URL(url).pathname.match(/\.([a-z0-9]{1,8})$/i);
+    return match ? match[1].toLowerCase() : "";
+  } catch {
+    return "";
+  }
+};
+
+/**
+ * Download a file into memory, refusing files above MAX_EXTRACT_FILE_SIZE
+ * @param {String} url - File URL
+ * @returns {{ buffer?: Buffer, tooLarge?: Boolean }}
+ */
+export const downloadFile = async (url) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Download failed (HTTP ${response.status})`);
+  }
+
+  if (Number(response.headers.get("content-length")) > MAX_EXTRACT_FILE_SIZE) {
+    await response.body?.cancel();
+    return { tooLarge: true };
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_EXTRACT_FILE_SIZE) return { tooLarge: true };
+    chunks.push(chunk);
+  }
+
+  return { buffer: Buffer.concat(chunks) };
+};
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+const decodeXml = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point =
+        code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+    }
+    return ENTITIES[code] ?? entity;
+  });
+
+/**
+ * Text runs of an Office XML part, one line per paragraph
+ * @param {String} xml - Part content
+ * @param {String} prefix - Namespace of the text tags ("w" for Word, "a" for slides)
+ * @returns {String}
+ */
+const officeXmlText = (xml, prefix) => {
+  const pattern = new RegExp(
+    `<${prefix}:t(?:\\s[^>]*)?>([^<]*)</${prefix}:t>|<${prefix}:tab/>|</${prefix}:p>`,
+    "g"
+  );
+
+  let text = "";
+  for (const [tag, run] of xml.matchAll(pattern)) {
+    if (run !== undefined) text += decodeXml(run);
+    else text += tag.endsWith("tab/>") ? "\t" : "\n";
+  }
+  return text;
+};
+
+// Thrown when zipped parts inflate past the limits (reported as "too-large")
+const tooLargeError = () =>
+  Object.assign(new Error("Document content too large to extract"), { tooLarge: true });
+
+/**
+ * Inflate zip entries as text, refusing them above the size limits
+ * The sizes declared in the archive are checked first, then the inflated
+ * bytes are counted while streaming (declared sizes can lie).
+ * @param {Array<Object>} entries - JSZip file objects, read in order
+ * @returns {Promise<Array<String>>}
+ */
+const readZipTexts = async (entries) => {
+  const declared = entries.map((entry) => entry._data?.uncompressedSize ?? 0);
+  if (
+    declared.some((size) => size > MAX_ZIP_PART_SIZE) ||
+    declared.reduce((sum, size) => sum + size, 0) > MAX_ZIP_TOTAL_SIZE
+  ) {
+    throw tooLargeError();
+  }
+
+  let total = 0;
+  const texts = [];
+  for (const entry of entries) {
+    texts.push(
+      await new Promise((resolve, reject) => {
+        const decoder = new TextDecoder();
+        let size = 0;
+        let text = "";
+        const stream = entry.internalStream("uint8array");
+
+        stream
+          .on("data", (chunk) => {
+            size += chunk.length;
+            total += chunk.length;
+            if (size > MAX_ZIP_PART_SIZE || total > MAX_ZIP_TOTAL_SIZE) {
+              stream.pause();
+              reject(tooLargeError());
+              return;
+            }
+            text += decoder.decode(chunk, { stream: true });
+          })
+          .on("error", reject)
+          .on("end", () => resolve(text + decoder.decode()))
+          .resume();
+      })
+    );
+  }
+  return texts;
+};
+
+const docxText = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const document = zip.file("word/document.xml");
+  if (!document) throw new Error("Not a Word document");
+  const [xml] = await readZipTexts([document]);
+  return officeXmlText(xml, "w");
+};
+
+const pptxText = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const slides = zip
+    .file(/^ppt\/slides\/slide\d+\.xml$/)
+    .sort((a, b) => parseInt(a.name.match(/\d+/)[0]) - parseInt(b.name.match(/\d+/)[0]));
+  if (slides.length === 0) throw new Error("Not a PowerPoint presentation");
+
+  const xmls = await readZipTexts(slides);
+  return xmls.map((xml) => officeXmlText(xml, "a")).join("\n\n");
+};
+
+const pdfText = async (buffer) => {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { text } = await parser.getText({ pageJoiner: "\n" });
+    return text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+const EXTRACTORS = {
+  pdf: pdfText,
+  docx: docxText,
+  pptx: pptxText,
+  txt: async (buffer) => buffer.toString("utf8"),
+  md: async (buffer) => buffer.toString("utf8"),
+};
+
+/**
+ * Text of a document
+ * @param {Buffer} buffer - File content
+ * @param {String} format - One of EXTRACTABLE_FORMATS
+ * @returns {Promise<String>} Text with blank runs collapsed, cut at MAX_TEXT_LENGTH
+ */
+export const extractText = async (buffer, format) => {
+  const text = await EXTRACTORS[format](buffer);
+
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+};
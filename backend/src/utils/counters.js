@@ -0,0 +1,216 @@
+// src/utils/counters.js
+// Stored counters of active resources and folders
+// - Department.resourceCount / folderCount, Folder.resourceCount (resources
+//   directly inside), User.resourcesUploaded
+// - kept up to date in the transaction of every change (create, move, trash,
+//   restore, archive...)
+// - reconcileCounters() recomputes them all from Resource / Folder and reports
+//   (and fixes) any drift; it runs as a scheduled job and from the admin API
+
+import mongoose from "mongoose";
+import Department from "../models/Department.js";
+import Folder from "../models/Folder.js";
+import Resource from "../models/Resource.js";
+import User from "../models/User.js";
+
+// Reference (possibly populated) → ID
+const idOf = (value) => value?._id || value || null;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Count an active resource in (delta 1) or out (delta -1) of the counters of
+ * its department, folder and uploader
+ * @param {Object} resource - Resource
+ * @param {Number} delta - 1 or -1
+ * @param {Object} session - Mongo session
+ */
+export const countResource = async (resource, delta, session) => {
+  const department = idOf(resource.department);
+  const folder = idOf(resource.folder);
+  const uploadedBy = idOf(resource.uploadedBy);
+
+  if (department) {
+    await Department.updateOne({ _id: department }, { $inc: { resourceCount: delta } }, { session });
+  }
+  if (folder) {
+    await Folder.updateOne({ _id: folder }, { $inc: { resourceCount: delta } }, { session });
+  }
+  if (uploadedBy) {
+    await User.updateOne({ _id: uploadedBy }, { $inc: { resourcesUploaded: delta } }, { session });
+  }
+};
+
+/**
+ * Move the counts of an active resource from its previous department / folder
+ * to its current ones
+ * @param {{ department, folder }} before - Location before the change
+ * @param {Object} resource - Resource after the change
+ * @param {Object} session - Mongo session
+ */
+export const recountMovedResource = async (before, resource, session) => {
+  const moves = [
+    [Department, idOf(before.department), idOf(resource.department)],
+    [Folder, idOf(before.folder), idOf(resource.folder)],
+  ];
+
+  for (const [Model, from, to] of moves) {
+    if (String(from) === String(to)) continue;
+    if (from) await Model.updateOne({ _id: from }, { $inc: { resourceCount: -1 } }, { session });
+    if (to) await Model.updateOne({ _id: to }, { $inc: { resourceCount: 1 } }, { session });
+  }
+};
+
+/**
+ * Recompute the counters of a department and of all its folders
+ * @param {*} departmentId - Department ID
+ * @param {Object} session - Mongo session
+ */
+export const refreshDepartmentCounts = async (departmentId, session) => {
+  const id = toObjectId(departmentId);
+
+  const [folderCount, perFolder] = await Promise.all([
+    Folder.countDocuments({ department: id, isActive: true }).session(session),
+    Resource.aggregate([
+      { $match: { department: id, isActive: true } },
+      { $group: { _id: "$folder", count: { $sum: 1 } } },
+    ]).session(session),
+  ]);
+
+  const resourceCount = perFolder.reduce((sum, { count }) => sum + count, 0);
+
+  await Department.updateOne({ _id: id }, { folderCount, resourceCount }, { session });
+  await Folder.updateMany({ department: id }, { resourceCount: 0 }, { session });
+
+  const folderUpdates = perFolder
+    .filter(({ _id }) => _id)
+    .map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { resourceCount: count } },
+    }));
+  if (folderUpdates.length > 0) {
+    await Folder.bulkWrite(folderUpdates, { session });
+  }
+};
+
+/**
+ * Recompute resourcesUploaded of some users
+ * @param {Array} userIds - User IDs
+ * @param {Object} session - Mongo session
+ */
+export const refreshUserCounts = async (userIds, session) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))].map(toObjectId);
+  if (ids.length === 0) return;
+
+  const counts = await Resource.aggregate([
+    { $match: { uploadedBy: { $in: ids }, isActive: true } },
+    { $group: { _id: "$uploadedBy", count: { $sum: 1 } } },
+  ]).session(session);
+  const byUser = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+  await User.bulkWrite(
+    ids.map((id) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { resourcesUploaded: byUser.get(id.toString()) || 0 },
+      },
+    })),
+    { session }
+  );
+};
+
+/**
+ * Actual value of every counter, from Resource and Folder
+ * @returns {Object} { [model]: { [field]: Map(id → count) } }
+ */
+const actualCounts = async () => {
+  const countBy = async (Model, field) => {
+    const groups = await Model.aggregate([
+      { $match: { isActive: true, [field]: { $ne: null } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    ]);
+    return new Map(groups.map(({ _id, count }) => [_id.toString(), count]));
+  };
+
+  const [departmentResources, departmentFolders, folderResources, userResources] =
+    await Promise.all([
+      countBy(Resource, "department"),
+      countBy(Folder, "department"),
+      countBy(Resource, "folder"),
+      countBy(Resource, "uploadedBy"),
+    ]);
+
+  return {
+    Department: { resourceCount: departmentResources, folderCount: departmentFolders },
+    Folder: { resourceCount: folderResources },
+    User: { resourcesUploaded: userResources },
+  };
+};
+
+/**
+ * Compare every stored counter with its actual value
+ * Stored values are read before the actual ones are counted, and a counter is
+ * only fixed if it still holds the value read: a resource added or removed
+ * meanwhile changes the stored value, so a correct counter is never
+ * overwritten with a count taken before that change.
+ * @param {Object} options - { fix } (default true): write the actual values
+ * @returns {Object} { checked, discrepancies: [{ model, _id, name, field, stored, actual }], fixed }
+ */
+export const reconcileCounters = async ({ fix = true } = {}) => {
+  const models = { Department, Folder, User };
+  const fieldsOf = {
+    Department: ["resourceCount", "folderCount"],
+    Folder: ["resourceCount"],
+    User: ["resourcesUploaded"],
+  };
+
+  const stored = {};
+  for (const [modelName, fields] of Object.entries(fieldsOf)) {
+    stored[modelName] = await models[modelName]
+      .find()
+      .select(["name", ...fields].join(" "))
+      .lean();
+  }
+  const actual = await actualCounts();
+
+  const report = { checked: {}, discrepancies: [], fixed: 0 };
+
+  for (const [modelName, fields] of Object.entries(actual)) {
+    const Model = models[modelName];
+    const docs = stored[modelName];
+    report.checked[modelName] = docs.length;
+
+    const updates = [];
+    docs.forEach((doc) => {
+      Object.entries(fields).forEach(([field, counts]) => {
+        const storedValue = doc[field] || 0;
+        const value = counts.get(doc._id.toString()) || 0;
+        if (storedValue === value) return;
+
+        report.discrepancies.push({
+          model: modelName,
+          _id: doc._id,
+          name: doc.name,
+          field,
+          stored: storedValue,
+          actual: value,
+        });
+
+        // Only overwrite the value that was read: a counter changed meanwhile
+        // is left for the next run rather than clobbered
+        updates.push({
+          updateOne: {
+            filter: { _id: doc._id, [field]: doc[field] ?? null },
+            update: { [field]: value },
+          },
+        });
+      });
+    });
+
+    if (fix && updates.length > 0) {
+      const { modifiedCount } = await Model.bulkWrite(updates, { ordered: false });
+      report.fixed += modifiedCount;
+    }
+  }
+
+  return report;
+};
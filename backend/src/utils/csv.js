@@ -0,0 +1,117 @@
+// src/utils/csv.js
+// Minimal CSV reader / writer (RFC 4180: quoted fields, "" escapes, newlines
+// inside quotes), enough for spreadsheets. Reading accepts comma or semicolon
+// separated files (some spreadsheet locales export with ";"), detected from
+// the header line; writing uses commas and CRLF.
+
+/**
+ * Guess the separator from the header line (outside quotes)
+ * @param {String} text - CSV text
+ * @returns {String} "," or ";"
+ */
+const detectDelimiter = (text) => {
+  let inQuotes = false;
+  const counts = { ",": 0, ";": 0 };
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === "\n" || char === "\r")) break;
+    else if (!inQuotes && char in counts) counts[char] += 1;
+  }
+
+  return counts[";"] > counts[","] ? ";" : ",";
+};
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {String} text - CSV text
+ * @returns {Array<Array<String>>} Rows (blank lines skipped)
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, ""); // Excel adds a BOM
+  const delimiter = detectDelimiter(input);
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header line into objects keyed by column name
+ * @param {String} text - CSV text
+ * @returns {Array<Object>} One object per data line
+ */
+export const parseCsvObjects = (text) => {
+  const [header = [], ...lines] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+
+  return lines.map((fields) =>
+    Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? ""]))
+  );
+};
+
+// Cells a spreadsheet would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write objects as CSV
+ * @param {Array<Object>} records - Rows (arrays are joined with ", ")
+ * @param {Array<String>} columns - Keys to write, in order (header line)
+ * @returns {String} CSV text
+ */
+export const toCsv = (records, columns) => {
+  const lines = records.map((record) =>
+    columns
+      .map((column) => {
+        const value = record[column];
+        return escapeCell(Array.isArray(value) ? value.join(", ") : value);
+      })
+      .join(",")
+  );
+
+  return [columns.map(escapeCell).join(","), ...lines].join("\r\n") + "\r\n";
+};
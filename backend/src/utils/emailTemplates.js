@@ -0,0 +1,110 @@
+// src/utils/emailTemplates.js
+// Email bodies sent by the API
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Escape a value interpolated in an html body (names and notes are user input)
+const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+/**
+ * Build a link to a frontend page
+ * @param {String} pagePath - Frontend path (e.g. /reset-password)
+ * @param {String} token - Token to append to the query string
+ * @param {String} param - Query parameter name (default: token)
+ * @returns {String} Absolute URL
+ */
+export const clientUrl = (pagePath, token, param = "token") => {
+  const base = process.env.CLIENT_URL || process.env.CORS_ORIGIN || "http://localhost:3000";
+  return `${base.replace(/\/+$/, "")}${pagePath}?${param}=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Password reset email
+ * @param {Object} user - Recipient
+ * @param {String} resetUrl - Link containing the one-time token
+ * @param {Number} expiresInMinutes - Token lifetime
+ * @returns {Object} { subject, text, html }
+ */
+export const passwordResetEmail = (user, resetUrl, expiresInMinutes) => ({
+  subject: "Reset your GDG Resource Hub password",
+  text: `Hi ${user.name},
+
+We received a request to reset your password. Open the link below to choose a new one:
+
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once.
+If you did not ask for a reset, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We received a request to reset your password.</p>
+<p><a href="${escapeHtml(resetUrl)}">Choose a new password</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once.<br>
+If you did not ask for a reset, you can ignore this email.</p>`,
+});
+
+/**
+ * Email address verification email
+ * @param {Object} user - Recipient
+ * @param {String} verifyUrl - Link containing the signed token
+ * @returns {Object} { subject, text, html }
+ */
+export const emailVerificationEmail = (user, verifyUrl) => ({
+  subject: "Confirm your GDG Resource Hub email",
+  text: `Hi ${user.name},
+
+Please confirm your email address by opening the link below:
+
+${verifyUrl}
+
+This link expires in 24 hours.`,
+  html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm your email address.</p>
+<p><a href="${escapeHtml(verifyUrl)}">Confirm my email</a></p>
+<p>This link expires in 24 hours.</p>`,
+});
+
+/**
+ * Notice sent to the current address when an email change is requested
+ * @param {Object} user - Recipient (still on the old address)
+ * @param {String} newEmail - Address waiting for confirmation
+ * @returns {Object} { subject, text, html }
+ */
+export const emailChangeNoticeEmail = (user, newEmail) => ({
+  subject: "Your GDG Resource Hub email is being changed",
+  text: `Hi ${user.name},
+
+A request was made to change the email of your account to ${newEmail}.
+The change only happens once the new address is confirmed.
+
+If this wasn't you, change your password right away.`,
+  html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>A request was made to change the email of your account to <strong>${escapeHtml(newEmail)}</strong>.<br>
+The change only happens once the new address is confirmed.</p>
+<p>If this wasn't you, change your password right away.</p>`,
+});
+
+/**
+ * Role request decision email
+ * @param {Object} request - Reviewed RoleRequest (user & department populated)
+ * @returns {Object} { subject, text, html }
+ */
+export const roleRequestDecisionEmail = (request) => {
+  const approved = request.status === "approved";
+  const decision = approved
+    ? `You are now a ${request.requestedRole} of ${request.department.name}. Log in again to use your new permissions.`
+    : `Your request to join ${request.department.name} was not approved.`;
+  const note = request.reviewNote ? `\n\nNote from the reviewer: ${request.reviewNote}` : "";
+
+  return {
+    subject: approved ? "Your role request was approved" : "Your role request was declined",
+    text: `Hi ${request.user.name},
+
+${decision}${note}`,
+    html: `<p>Hi ${escapeHtml(request.user.name)},</p>
+<p>${escapeHtml(decision)}</p>${
+      request.reviewNote
+        ? `\n<p>Note from the reviewer: ${escapeHtml(request.reviewNote)}</p>`
+        : ""
+    }`,
+  };
+};
@@ -0,0 +1,223 @@
+// src/utils/folderTransfer.js
+// Move / copy a folder (with its sub-folders and resources) to another
+// department or parent folder
+// - a move keeps every ID and carries the whole subtree along, including
+//   trashed and archived items, so nothing is left pointing at the old department
+// - a copy duplicates the active subtree only; copied resources share the
+//   original Cloudinary files (purges keep files still used elsewhere)
+// - both run in one transaction and recompute the counters of the departments involved
+
+import mongoose from "mongoose";
+import Folder from "../models/Folder.js";
+import Resource from "../models/Resource.js";
+import ResourceRevision from "../models/ResourceRevision.js";
+import ArchiveBatch from "../models/ArchiveBatch.js";
+import { withTransaction } from "./transaction.js";
+import { refreshDepartmentCounts, refreshUserCounts } from "./counters.js";
+import { pathUnder, subtreePathUpdates } from "./folderTree.js";
+
+// What to do when the target already has a folder with the same name
+export const CONFLICT_STRATEGIES = ["fail", "rename"];
+
+const NAME_MAX_LENGTH = 50;
+
+/**
+ * Name a folder can take in its target location
+ * Names are unique per (department, parent), trashed and archived folders included.
+ * @param {Object} options
+ * @param {String} options.name - Wanted name
+ * @param {*} options.department - Target department
+ * @param {Object|null} options.parent - Target parent folder
+ * @param {*} [options.excludeId] - Folder being moved (its own name is no conflict)
+ * @returns {{ name: String, conflict: Boolean }} Free name ("Name (2)"...) and
+ *          whether the wanted one was taken
+ */
+export const availableName = async ({ name, department, parent, excludeId }) => {
+  const query = { department, parent: parent ? parent._id : null };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const siblings = await Folder.find(query).select("name");
+  const taken = new Set(siblings.map((sibling) => sibling.name));
+
+  if (!taken.has(name)) return { name, conflict: false };
+
+  for (let n = 2; ; n++) {
+    const suffix = ` (${n})`;
+    const candidate = `${name.slice(0, NAME_MAX_LENGTH - suffix.length).trim()}${suffix}`;
+    if (!taken.has(candidate)) return { name: candidate, conflict: true };
+  }
+};
+
+/**
+ * Move a folder and everything below it
+ * (check placementError and availableName first)
+ * @param {Object} folder - Active folder
+ * @param {Object} target
+ * @param {*} target.department - Target department
+ * @param {Object|null} target.parent - Target parent folder, null for the root
+ * @param {String} target.name - Name in the target location
+ * @returns {Object} Report: { folders: [{ _id, name }], resources: [{ _id, title }] }
+ */
+export const moveFolderTo = (folder, { department, parent, name }) =>
+  withTransaction(async (session) => {
+    const fromDepartment = folder.department;
+
+    const descendants = await Folder.find({ ancestors: folder._id })
+      .select("name ancestors")
+      .session(session);
+    const folderIds = [folder._id, ...descendants.map((descendant) => descendant._id)];
+
+    const resources = await Resource.find({ folder: { $in: folderIds } })
+      .select("title")
+      .session(session);
+
+    folder.name = name;
+    folder.department = department;
+    Object.assign(folder, pathUnder(parent));
+    await folder.save({ session });
+
+    const updates = subtreePathUpdates(folder, descendants, { department });
+    if (updates.length > 0) {
+      await Folder.bulkWrite(updates, { session });
+    }
+
+    await Resource.updateMany({ folder: { $in: folderIds } }, { department }, { session });
+
+    // Folder archives inside the subtree now belong to the target department
+    await ArchiveBatch.updateMany(
+      { scope: "folder", folder: { $in: folderIds } },
+      { department },
+      { session }
+    );
+
+    await refreshDepartmentCounts(department, session);
+    if (fromDepartment.toString() !== department.toString()) {
+      await refreshDepartmentCounts(fromDepartment, session);
+    }
+
+    return {
+      folders: [folder, ...descendants].map(({ _id, name }) => ({ _id, name })),
+      resources: resources.map(({ _id, title }) => ({ _id, title })),
+    };
+  });
+
+/**
+ * Copy a folder with its active sub-folders and resources
+ * (check placementError and availableName first)
+ * @param {Object} folder - Active folder
+ * @param {Object} target
+ * @param {*} target.department - Target department
+ * @param {Object|null} target.parent - Target parent folder, null for the root
+ * @param {String} target.name - Name of the copy
+ * @param {*} target.userId - User copying (creator of the folder copies, copiedBy
+ *        of the resource copies, which keep their uploader)
+ * @returns {Object} Report: { folder, folders: [{ _id, name, copiedFrom }],
+ *          resources: [{ _id, title, copiedFrom }] }
+ */
+export const copyFolderTo = async (folder, { department, parent, name, userId }) => {
+  const { report, created } = await withTransaction(async (session) => {
+    const descendants = await Folder.find({ ancestors: folder._id, isActive: true })
+      .sort({ depth: 1 })
+      .session(session);
+
+    // Old folder ID → copy (sub-folders of a trashed or archived folder are left out)
+    const copies = new Map();
+    const folderDocs = [];
+
+    [folder, ...descendants].forEach((source) => {
+      const isRoot = source === folder;
+      const copyParent = isRoot ? parent : copies.get(source.parent.toString());
+      if (!copyParent && !isRoot) return;
+
+      const copy = {
+        _id: new mongoose.Types.ObjectId(),
+        name: isRoot ? name : source.name,
+        // A renamed copy gets a slug from its new name
+        slug: isRoot && name !== source.name ? undefined : source.slug,
+        description: source.description,
+        department,
+        ...pathUnder(copyParent),
+        color: source.color,
+        icon: source.icon,
+        order: source.order,
+        createdBy: userId,
+      };
+
+      copies.set(source._id.toString(), copy);
+      folderDocs.push({ copy, source });
+    });
+
+    await Folder.create(
+      folderDocs.map(({ copy }) => copy),
+      { session, ordered: true }
+    );
+
+    const sources = await Resource.find({
+      folder: { $in: folderDocs.map(({ source }) => source._id) },
+      isActive: true,
+    })
+      .lean()
+      .session(session);
+
+    const resourceDocs = sources.map((source) => {
+      const {
+        _id,
+        __v,
+        createdAt,
+        updatedAt,
+        views,
+        downloads,
+        favoritedBy,
+        currentVersion,
+        deletedAt,
+        deletedBy,
+        archiveBatch,
+        uploadedAt,
+        files = [],
+        ...content
+      } = source;
+
+      return {
+        ...content,
+        files: files.map(({ _id: fileId, ...file }) => file),
+        folder: copies.get(source.folder.toString())._id,
+        department,
+        copiedFrom: _id,
+        copiedBy: userId,
+      };
+    });
+
+    const resources =
+      resourceDocs.length > 0 ? await Resource.insertMany(resourceDocs, { session }) : [];
+
+    await refreshDepartmentCounts(department, session);
+    await refreshUserCounts(
+      sources.map(({ uploadedBy }) => uploadedBy),
+      session
+    );
+
+    return {
+      report: {
+        folder: folderDocs[0].copy._id,
+        folders: folderDocs.map(({ copy, source }) => ({
+          _id: copy._id,
+          name: copy.name,
+          copiedFrom: source._id,
+        })),
+        resources: resources.map((resource, index) => ({
+          _id: resource._id,
+          title: resource.title,
+          copiedFrom: sources[index]._id,
+        })),
+      },
+      created: resources,
+    };
+  });
+
+  // Copies start their own history
+  for (const resource of created) {
+    await ResourceRevision.ensureBaseline(resource, userId);
+  }
+
+  return report;
+};
@@ -0,0 +1,210 @@
+// src/utils/folderTree.js
+// Nested folders
+// - a folder stores its parent and its ancestors (root first), so a whole
+//   subtree is a single query: { ancestors: folderId }
+// - moves rewrite the ancestors of the moved folder and of its subtree in one
+//   transaction; cycles and nesting deeper than MAX_FOLDER_DEPTH are refused
+
+import mongoose from "mongoose";
+import Folder, { MAX_FOLDER_DEPTH } from "../models/Folder.js";
+import Resource from "../models/Resource.js";
+import { withTransaction } from "./transaction.js";
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+/**
+ * Position of a folder placed under a parent
+ * @param {Object|null} parent - Parent folder, null for the root
+ * @returns {{ parent, ancestors: Array, depth: Number }}
+ */
+export const pathUnder = (parent) => ({
+  parent: parent ? parent._id : null,
+  ancestors: parent ? [...parent.ancestors, parent._id] : [],
+  depth: parent ? parent.depth + 1 : 0,
+});
+
+/**
+ * IDs of every folder below a folder
+ * @param {*} folderId - Folder ID
+ * @param {Object} options - { activeOnly } (default true)
+ * @returns {Array} Folder IDs
+ */
+export const descendantIds = async (folderId, { activeOnly = true } = {}) => {
+  const query = { ancestors: folderId };
+  if (activeOnly) query.isActive = true;
+
+  const folders = await Folder.find(query).select("_id");
+  return folders.map((folder) => folder._id);
+};
+
+/**
+ * Number of levels below a folder (0 without sub-folders)
+ * @param {Object} folder - Folder document
+ * @returns {Number}
+ */
+const subtreeHeight = async (folder) => {
+  const deepest = await Folder.findOne({ ancestors: folder._id }).sort({ depth: -1 }).select("depth");
+  return deepest ? deepest.depth - folder.depth : 0;
+};
+
+/**
+ * Check that a folder (or a new one) can be placed under a parent
+ * @param {Object} options
+ * @param {Object} [options.folder] - Folder being moved or copied (omit for a new folder)
+ * @param {*} options.department - Department the folder belongs to
+ * @param {Object|null} options.parent - Target parent, null for the root
+ * @returns {String|null} Why it can't, or null
+ */
+export const placementError = async ({ folder, department, parent }) => {
+  if (!parent) return null;
+
+  if (!sameId(parent.department, department)) {
+    return "A sub-folder must belong to the same department as its parent";
+  }
+
+  if (folder && (sameId(parent._id, folder._id) || parent.ancestors.some((id) => sameId(id, folder._id)))) {
+    return "A folder cannot be placed inside itself or one of its sub-folders";
+  }
+
+  const height = folder ? await subtreeHeight(folder) : 0;
+  if (parent.depth + 1 + height > MAX_FOLDER_DEPTH) {
+    return `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`;
+  }
+
+  return null;
+};
+
+/**
+ * Bulk updates re-pathing the sub-folders of a folder that got a new position
+ * @param {Object} folder - Folder, already holding its new ancestors
+ * @param {Array} descendants - Its sub-folders (with their old ancestors)
+ * @param {Object} changes - Other fields to set on every sub-folder
+ * @returns {Array} bulkWrite operations
+ */
+export const subtreePathUpdates = (folder, descendants, changes = {}) => {
+  const prefix = [...folder.ancestors, folder._id];
+
+  return descendants.map((descendant) => {
+    const below = descendant.ancestors.slice(
+      descendant.ancestors.findIndex((id) => sameId(id, folder._id)) + 1
+    );
+    const ancestors = [...prefix, ...below];
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { ...changes, ancestors, depth: ancestors.length },
+      },
+    };
+  });
+};
+
+/**
+ * Save a folder under a new parent and re-path its whole subtree
+ * (check placementError first)
+ * @param {Object} folder - Folder document (other pending changes are saved too)
+ * @param {Object|null} parent - New parent, null for the root
+ * @returns {Number} Sub-folders re-pathed
+ */
+export const moveFolder = (folder, parent) =>
+  withTransaction(async (session) => {
+    const descendants = await Folder.find({ ancestors: folder._id })
+      .select("ancestors")
+      .session(session);
+
+    Object.assign(folder, pathUnder(parent));
+    await folder.save({ session });
+
+    const updates = subtreePathUpdates(folder, descendants);
+    if (updates.length > 0) {
+      await Folder.bulkWrite(updates, { session });
+    }
+
+    return updates.length;
+  });
+
+/**
+ * Active resources directly inside each folder
+ * @param {Array} folderIds - Folder IDs
+ * @returns {Map} folder ID (string) → count
+ */
+export const directResourceCounts = async (folderIds) => {
+  const counts = await Resource.aggregate([
+    {
+      $match: {
+        folder: { $in: folderIds.map((id) => new mongoose.Types.ObjectId(id.toString())) },
+        isActive: true,
+      },
+    },
+    { $group: { _id: "$folder", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Active subtree of a folder as nested nodes, with resource counts:
+ * resourceCount (directly inside) and totalResourceCount (whole subtree)
+ * @param {Object} root - Folder document
+ * @returns {Object} Root node with children
+ */
+export const buildFolderTree = async (root) => {
+  const descendants = await Folder.find({ ancestors: root._id, isActive: true })
+    .select("name slug icon color order parent depth")
+    .sort({ depth: 1, order: 1, name: 1 })
+    .lean();
+
+  const folders = [root.toObject ? root.toObject() : root, ...descendants];
+  const counts = await directResourceCounts(folders.map((folder) => folder._id));
+
+  const nodes = new Map(
+    folders.map((folder) => {
+      const resourceCount = counts.get(folder._id.toString()) || 0;
+      return [
+        folder._id.toString(),
+        {
+          _id: folder._id,
+          name: folder.name,
+          slug: folder.slug,
+          icon: folder.icon,
+          color: folder.color,
+          order: folder.order,
+          depth: folder.depth,
+          resourceCount,
+          totalResourceCount: resourceCount,
+          children: [],
+        },
+      ];
+    })
+  );
+
+  // Attach children in display order, then add totals up from the deepest level
+  descendants.forEach((folder) => {
+    nodes.get(folder.parent.toString())?.children.push(nodes.get(folder._id.toString()));
+  });
+
+  [...descendants].reverse().forEach((folder) => {
+    const parent = nodes.get(folder.parent.toString());
+    if (parent) parent.totalResourceCount += nodes.get(folder._id.toString()).totalResourceCount;
+  });
+
+  return nodes.get(root._id.toString());
+};
+
+/**
+ * Path from the root of the department down to a folder
+ * @param {Object} folder - Folder document
+ * @returns {Array} [{ _id, name, slug, icon, color }] root first, folder last
+ */
+export const breadcrumbsOf = async (folder) => {
+  const ancestors = await Folder.find({ _id: { $in: folder.ancestors } })
+    .select("name slug icon color")
+    .lean();
+
+  const byId = new Map(ancestors.map((ancestor) => [ancestor._id.toString(), ancestor]));
+  const { _id, name, slug, icon, color } = folder;
+
+  return [
+    ...folder.ancestors.map((id) => byId.get(id.toString())).filter(Boolean),
+    { _id, name, slug, icon, color },
+  ];
+};
@@ -0,0 +1,67 @@
+// src/utils/loginAttempts.js
+// Login audit and brute-force protection, shared by the login flow and the
+// account actions that check a password or a 2FA code (disabling 2FA,
+// regenerating recovery codes): failures there count like failed logins
+
+import LoginAudit from "../models/LoginAudit.js";
+
+/**
+ * Store a login audit entry (never blocks the login on failure)
+ * @param {Object} req - Express request (for device info)
+ * @param {Object} entry - { user, email, success, reason }
+ */
+export const auditLogin = async (req, entry) => {
+  try {
+    await LoginAudit.create({
+      ...entry,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || "",
+    });
+  } catch (err) {
+    console.error("Login audit failed:", err.message);
+  }
+};
+
+/**
+ * Reject the attempt while the account is locked or a delay is running
+ * Called before checking a password or code, and again (reload) once it
+ * matched: a right guess among parallel wrong ones is refused if they locked
+ * the account meanwhile.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User trying to log in
+ * @param {Object} options
+ * @param {Boolean} options.reload - Read the counter from the database first
+ */
+export const assertLoginAllowed = async (req, res, user, { reload = false } = {}) => {
+  if (reload) await user.reloadLoginAttempts();
+
+  const waitMs = user.getLoginDelay();
+  if (waitMs <= 0) return;
+
+  const locked = user.isLocked();
+  await auditLogin(req, {
+    user: user._id,
+    email: user.email,
+    success: false,
+    reason: locked ? "locked" : "throttled",
+  });
+  res.set("Retry-After", Math.ceil(waitMs / 1000).toString());
+  res.status(locked ? 423 : 429);
+  throw new Error(
+    locked
+      ? `Account temporarily locked after too many failed attempts, try again in ${Math.ceil(waitMs / 60000)} minute(s)`
+      : `Too many failed attempts, try again in ${Math.ceil(waitMs / 1000)}s`
+  );
+};
+
+/**
+ * Count a wrong password / code like a failed login (progressive delay, lock)
+ * @param {Object} req - Express request
+ * @param {Object} user - User document
+ * @param {String} reason - "invalid-password" or "invalid-2fa"
+ */
+export const registerFailedCheck = async (req, user, reason) => {
+  await user.registerFailedLogin();
+  await auditLogin(req, { user: user._id, email: user.email, success: false, reason });
+};
@@ -0,0 +1,122 @@
+// src/utils/mailer.js
+// Mail transport abstraction with pluggable drivers
+// - smtp:    real delivery through nodemailer (production)
+// - file:    writes every message as JSON to MAIL_FILE_DIR (local dev & tests)
+// - console: prints every message to stdout (default)
+
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+/**
+ * SMTP driver (nodemailer)
+ * @returns {Object} Transport with a send(message) method
+ */
+const smtpDriver = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+/**
+ * File driver - one JSON file per message
+ * @returns {Object} Transport with a send(message) method
+ */
+const fileDriver = () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || "logs/mail");
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^\w.@-]+/g, "_");
+      const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+      await fs.writeFile(
+        file,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { messageId: path.basename(file), file };
+    },
+  };
+};
+
+/**
+ * Console driver - logs the message instead of sending it
+ * @returns {Object} Transport with a send(message) method
+ */
+const consoleDriver = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(`
+📧 Mail to: ${message.to}
+   Subject: ${message.subject}
+${message.text}
+`);
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+const drivers = {
+  smtp: smtpDriver,
+  file: fileDriver,
+  console: consoleDriver,
+};
+
+let transport = null;
+
+/**
+ * Get the active transport (selected with MAIL_DRIVER)
+ * @returns {Object} Transport
+ */
+export const getTransport = () => {
+  if (!transport) {
+    const driver = process.env.MAIL_DRIVER || "console";
+
+    if (!drivers[driver]) {
+      throw new Error(`Unknown MAIL_DRIVER "${driver}" (use smtp, file or console)`);
+    }
+
+    transport = drivers[driver]();
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with a custom driver in tests)
+ * @param {Object|null} customTransport - Object with a send(message) method, or null to reset
+ */
+export const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Promise<Object>} Driver result (contains messageId)
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error("Mail recipient and subject are required");
+  }
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || "GDG Resource Hub <no-reply@gdg-hub.local>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export default sendMail;
@@ -0,0 +1,48 @@
+// src/utils/ordering.js
+// Manual ordering (drag-and-drop lists) of folders and resources
+// - the items listed come first, in the order given; the others keep their
+//   current relative order after them
+// - positions are rewritten as 0, 1, 2... in one transaction, so the list has
+//   no gaps or ties and stays stable however often it is reordered
+
+import { withTransaction } from "./transaction.js";
+
+/**
+ * Rewrite the order of every item of a list
+ * @param {Object} Model - Mongoose model with an `order` field
+ * @param {Object} scope - Filter selecting the whole list (e.g. siblings of a folder)
+ * @param {Array} ids - Item IDs in their new order (may be partial)
+ * @param {Object} currentSort - Sort of the list as it is displayed today
+ * @returns {{ unknown: Array, items: Array }} IDs not in the list (nothing is
+ *          written then), or the list in its new order
+ */
+export const applyOrder = (Model, scope, ids, currentSort) =>
+  withTransaction(async (session) => {
+    const current = await Model.find(scope).select("_id order").sort(currentSort).session(session);
+
+    const byId = new Map(current.map((item) => [item._id.toString(), item]));
+    const unknown = ids.filter((id) => !byId.has(id));
+    if (unknown.length > 0) return { unknown, items: [] };
+
+    const listed = new Set(ids);
+    const items = [
+      ...ids.map((id) => byId.get(id)),
+      ...current.filter((item) => !listed.has(item._id.toString())),
+    ];
+
+    const updates = items
+      .map((item, position) => ({ item, position }))
+      .filter(({ item, position }) => item.order !== position)
+      .map(({ item, position }) => ({
+        updateOne: { filter: { _id: item._id }, update: { order: position } },
+      }));
+
+    if (updates.length > 0) {
+      await Model.bulkWrite(updates, { session });
+    }
+
+    return {
+      unknown: [],
+      items: items.map((item, position) => ({ _id: item._id, order: position })),
+    };
+  });
@@ -0,0 +1,181 @@
+// src/utils/permissions.js
+// Role tiers and department scope helpers
+// - super-admin: global power over every department
+// - co-manager:  manages the departments listed in user.managedDepartments
+// - lead:        manages folders & resources of user.managedDepartments
+//
+// checkPermission / can / getPermissions evaluate the action table of
+// config/policies.js against a user and an optional target context.
+
+import policies from "../config/policies.js";
+
+export const ROLES = ["visitor", "member", "lead", "co-manager", "super-admin"];
+
+// Roles whose management power is limited to user.managedDepartments
+export const SCOPED_ROLES = ["lead", "co-manager"];
+
+// Roles that only a super-admin can grant
+export const PRIVILEGED_ROLES = ["co-manager", "super-admin"];
+
+/**
+ * Check if a user has global power
+ * @param {Object} user - Authenticated user
+ * @returns {Boolean}
+ */
+export const isSuperAdmin = (user) => user?.role === "super-admin";
+
+/**
+ * Check if a user is a co-manager or above (user administration)
+ * @param {Object} user - Authenticated user
+ * @returns {Boolean}
+ */
+export const isManager = (user) => ["co-manager", "super-admin"].includes(user?.role);
+
+/**
+ * Check if a user can manage a department
+ * @param {Object} user - Authenticated user
+ * @param {String|Object} departmentId - Department ID (or populated department)
+ * @returns {Boolean}
+ */
+export const canManageDepartment = (user, departmentId) => {
+  if (!user || !departmentId) return false;
+  if (isSuperAdmin(user)) return true;
+  if (!SCOPED_ROLES.includes(user.role)) return false;
+
+  const id = (departmentId._id || departmentId).toString();
+  return (user.managedDepartments || []).some(
+    (dept) => (dept._id || dept).toString() === id
+  );
+};
+
+/**
+ * Compare two IDs (ObjectId, populated document or string)
+ * @returns {Boolean}
+ */
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * Evaluate a policy action for a user
+ * Checks, in order: role, department scope (leads & co-managers), ownership.
+ * Context keys left out are not checked, so a route without a target only
+ * checks the role; an empty departments list denies scoped roles.
+ * @param {Object} user - Authenticated user
+ * @param {String} action - Key of config/policies.js (e.g. "resource:update")
+ * @param {Object} context - Target of the action
+ * @param {Array} context.departments - Departments the action touches
+ * @param {*} context.ownerId - Owner of the target (null when it has none)
+ * @param {*} context.targetUserId - User account the action targets
+ * @returns {{ allowed: Boolean, reason: String|null }} reason: auth | role | scope | ownership
+ */
+export const checkPermission = (user, action, context = {}) => {
+  const policy = policies[action];
+  if (!policy) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  if (!user) return { allowed: false, reason: "auth" };
+  if (isSuperAdmin(user)) return { allowed: true, reason: null };
+
+  if (policy.self && sameId(context.targetUserId, user._id)) {
+    return { allowed: true, reason: null };
+  }
+
+  if (!policy.roles.includes(user.role)) {
+    return { allowed: false, reason: "role" };
+  }
+
+  // A department list that ends up empty is a target out of anyone's scope
+  if (policy.scoped && SCOPED_ROLES.includes(user.role) && "departments" in context) {
+    const departments = (context.departments || []).filter(Boolean);
+    if (
+      departments.length === 0 ||
+      !departments.every((dept) => canManageDepartment(user, dept))
+    ) {
+      return { allowed: false, reason: "scope" };
+    }
+  }
+
+  if (policy.ownOnly?.includes(user.role) && "ownerId" in context) {
+    if (!sameId(context.ownerId, user._id)) {
+      return { allowed: false, reason: "ownership" };
+    }
+  }
+
+  return { allowed: true, reason: null };
+};
+
+/**
+ * Check if an API key's scopes cover a policy action
+ * Actions without an apiKeyScope can only be used by logged-in users.
+ * @param {Object} apiKey - ApiKey document (or null for JWT requests)
+ * @param {String} action - Key of config/policies.js
+ * @returns {Boolean}
+ */
+export const apiKeyAllows = (apiKey, action) => {
+  if (!apiKey) return true;
+
+  const scope = policies[action]?.apiKeyScope;
+  return !!scope && apiKey.scopes.includes(scope);
+};
+
+/**
+ * Shorthand for checkPermission(...).allowed
+ * @returns {Boolean}
+ */
+export const can = (user, action, context) => checkPermission(user, action, context).allowed;
+
+/**
+ * Describe every action of the policy table for a user (frontend UI hints)
+ * scope: "all" | "departments" (managed ones) | "own" (own targets) | "self" (own account)
+ * @param {Object} user - Authenticated user
+ * @param {Object} apiKey - API key used for the request, if any
+ * @returns {Object} { action: { allowed, scope } }
+ */
+export const getPermissions = (user, apiKey = null) =>
+  Object.fromEntries(
+    Object.entries(policies).map(([action, policy]) => {
+      let entry;
+
+      if (!apiKeyAllows(apiKey, action)) {
+        entry = { allowed: false, scope: null };
+      } else if (isSuperAdmin(user)) {
+        entry = { allowed: true, scope: "all" };
+      } else if (!policy.roles.includes(user.role)) {
+        entry = policy.self ? { allowed: true, scope: "self" } : { allowed: false, scope: null };
+      } else if (policy.ownOnly?.includes(user.role)) {
+        entry = { allowed: true, scope: "own" };
+      } else if (policy.scoped && SCOPED_ROLES.includes(user.role)) {
+        entry = { allowed: true, scope: "departments" };
+      } else {
+        entry = { allowed: true, scope: "all" };
+      }
+
+      return [action, entry];
+    })
+  );
+
+/**
+ * Build the `department` filter of a listing query for a user
+ * Scoped roles only see their managed departments.
+ * @param {Object} user - Authenticated user
+ * @param {String} department - Requested department filter ("all" or an ID)
+ * @returns {*} Value for query.department, or undefined for no filter
+ */
+export const departmentScopeFilter = (user, department) => {
+  const requested = department && department !== "all" ? department : undefined;
+
+  if (!SCOPED_ROLES.includes(user?.role)) {
+    return requested;
+  }
+
+  const managed = (user.managedDepartments || []).map((dept) => (dept._id || dept).toString());
+  return { $in: requested ? managed.filter((id) => id === requested) : managed };
+};
+
+/**
+ * Check if two-factor authentication is mandatory for a user
+ * @param {Object} user - User
+ * @returns {Boolean}
+ */
+export const isTwoFactorRequired = (user) =>
+  isManager(user) && process.env.REQUIRE_2FA_FOR_CO_MANAGERS === "true";
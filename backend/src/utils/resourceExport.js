@@ -0,0 +1,272 @@
+// src/utils/resourceExport.js
+// Export of resources (GET /resources/export)
+// - CSV / JSON: metadata of each resource; the CSV columns are the ones
+//   POST /resources/import reads, so links can be imported elsewhere
+// - ZIP: the files themselves (main file and added files), laid out as
+//   department/folder/sub-folder/..., with resources.csv and a manifest.json
+//   telling which file of which resource is where (and which could not be
+//   fetched: a download cut halfway leaves a partial file marked "failed")
+// - the ZIP is streamed: files are downloaded from Cloudinary one at a time and
+//   written to the response as they arrive
+
+import archiver from "archiver";
+import { PassThrough, Readable } from "stream";
+import Folder from "../models/Folder.js";
+import { toCsv } from "./csv.js";
+
+// Most resources a single export may hold
+export const MAX_EXPORT_RESOURCES = 2000;
+
+export const EXPORT_FORMATS = ["csv", "json", "zip"];
+
+// CSV columns, in order
+export const EXPORT_COLUMNS = [
+  "title",
+  "description",
+  "type",
+  "url",
+  "linkType",
+  "tags",
+  "contributors",
+  "department",
+  "folder",
+  "folderPath",
+  "files",
+  "uploadedBy",
+  "createdAt",
+  "updatedAt",
+  "id",
+];
+
+// Longest time spent downloading one file
+const FETCH_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Only files we uploaded are downloaded (never arbitrary URLs)
+const isCloudinaryUrl = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (
+      protocol === "https:" &&
+      (hostname === "cloudinary.com" || hostname.endsWith(".cloudinary.com"))
+    );
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Full path ("Parent / Child") of every folder used by some resources
+ * @param {Array} resources - Resources with a populated folder (name, ancestors)
+ * @returns {Map} folder ID → [names from the root]
+ */
+export const folderPathsOf = async (resources) => {
+  const folders = resources.map((resource) => resource.folder).filter(Boolean);
+  const ancestorIds = [...new Set(folders.flatMap((folder) => folder.ancestors.map(String)))];
+
+  const ancestors = await Folder.find({ _id: { $in: ancestorIds } }).select("name");
+  const names = new Map(ancestors.map(({ _id, name }) => [_id.toString(), name]));
+
+  return new Map(
+    folders.map((folder) => [
+      folder._id.toString(),
+      [...folder.ancestors.map((id) => names.get(id.toString()) || "?"), folder.name],
+    ])
+  );
+};
+
+/**
+ * Exported view of a resource
+ * @param {Object} resource - Resource with department, folder and uploadedBy populated
+ * @param {Map} folderPaths - From folderPathsOf
+ * @returns {Object} Record
+ */
+export const toExportRecord = (resource, folderPaths) => ({
+  id: resource._id,
+  title: resource.title,
+  description: resource.description || "",
+  type: resource.type,
+  url: resource.url,
+  linkType: resource.linkType || "",
+  tags: resource.tags,
+  contributors: resource.contributors,
+  department: resource.department?.slug || "",
+  folder: resource.folder?.slug || "",
+  folderPath: resource.folder ? folderPaths.get(resource.folder._id.toString()).join(" / ") : "",
+  files: (resource.files || []).map(({ url, format, size }) => ({ url, format, size })),
+  uploadedBy: resource.uploadedBy?.name || "",
+  createdAt: resource.createdAt,
+  updatedAt: resource.updatedAt,
+});
+
+/**
+ * Records as CSV (the added files are counted, the ZIP holds them)
+ * @param {Array} records - From toExportRecord
+ * @returns {String}
+ */
+export const recordsToCsv = (records) =>
+  toCsv(
+    records.map((record) => ({ ...record, files: record.files.length })),
+    EXPORT_COLUMNS
+  );
+
+// Name usable as a file or directory name in every OS
+const safeName = (name, fallback = "untitled") =>
+  String(name || "")
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, "-")
+    .replace(/^[.\s]+|[.\s]+$/g, "")
+    .slice(0, 100) || fallback;
+
+const extensionOf = (url, format) => {
+  if (format) return `.${format}`;
+  const match = new URL(url).pathname.match(/\.[a-z0-9]{1,8}$/i);
+  return match ? match[0].toLowerCase() : "";
+};
+
+/**
+ * Files of a resource with their place in the archive
+ * @param {Object} resource - File resource
+ * @param {Object} record - Its export record
+ * @param {Set} taken - Paths already used in the archive (updated)
+ * @returns {Array<{ url, path }>}
+ */
+const archiveEntriesOf = (resource, record, taken) => {
+  const directory = [
+    safeName(resource.department?.slug, "department"),
+    ...(record.folderPath ? record.folderPath.split(" / ").map((name) => safeName(name)) : []),
+  ].join("/");
+
+  const sources = [
+    { url: resource.url, format: resource.format },
+    ...(resource.files || []).map(({ url, format }) => ({ url, format })),
+  ];
+
+  return sources.map(({ url, format }, index) => {
+    const base = safeName(resource.title) + (index > 0 ? ` (file ${index + 1})` : "");
+    const extension = isCloudinaryUrl(url) ? extensionOf(url, format) : "";
+
+    let path = `${directory}/${base}${extension}`;
+    for (let n = 2; taken.has(path); n++) {
+      path = `${directory}/${base} (${n})${extension}`;
+    }
+    taken.add(path);
+
+    return { url, path };
+  });
+};
+
+/**
+ * Stream a ZIP of the files of some resources
+ * @param {Object} output - Writable stream (the HTTP response)
+ * @param {Object} options
+ * @param {Array} options.resources - Resources (department, folder populated)
+ * @param {Array} options.records - Their export records, same order
+ * @param {Object} options.meta - Added to the manifest (filters, exportedBy...)
+ */
+export const streamExportZip = async (output, { resources, records, meta }) => {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const controller = new AbortController();
+
+  // The client went away: stop downloading and writing
+  const stopped = new Promise((resolve) =>
+    output.once("close", () => {
+      if (!output.writableFinished) {
+        controller.abort();
+        archive.abort();
+      }
+      resolve();
+    })
+  );
+
+  archive.on("error", (err) => output.destroy(err));
+  archive.pipe(output);
+
+  // Add one remote file and wait until it is written
+  const appendRemoteFile = async ({ url, path }) => {
+    if (!isCloudinaryUrl(url)) {
+      return { status: "skipped", error: "Not a file hosted by the hub" };
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        signal: AbortSignal.any([controller.signal, AbortSignal.timeout(FETCH_TIMEOUT_MS)]),
+      });
+    } catch (err) {
+      return { status: "failed", error: err.message };
+    }
+    if (!response.ok) {
+      return { status: "failed", error: `Download failed (HTTP ${response.status})` };
+    }
+
+    // A download cut halfway ends the entry instead of breaking the whole ZIP
+    const body = Readable.fromWeb(response.body);
+    const entry = new PassThrough();
+    let interrupted = null;
+    let size = 0;
+    body.on("data", (chunk) => {
+      size += chunk.length;
+    });
+    body.on("error", (err) => {
+      interrupted = err;
+      entry.end();
+    });
+    body.pipe(entry);
+
+    const written = new Promise((resolve) => {
+      const onEntry = (data) => {
+        if (data.name !== path) return;
+        archive.off("entry", onEntry);
+        resolve();
+      };
+      archive.on("entry", onEntry);
+    });
+    archive.append(entry, { name: path });
+    await Promise.race([written, stopped]);
+
+    return interrupted
+      ? { status: "failed", path, error: `Download interrupted: ${interrupted.message}` }
+      : { status: "ok", path, size };
+  };
+
+  const taken = new Set(["manifest.json", "resources.csv"]);
+  const manifest = [];
+  let fileCount = 0;
+  let failedCount = 0;
+
+  for (const [index, resource] of resources.entries()) {
+    if (controller.signal.aborted) return;
+
+    const record = records[index];
+    const files = [];
+
+    if (resource.type === "file") {
+      for (const entry of archiveEntriesOf(resource, record, taken)) {
+        const result = await appendRemoteFile(entry);
+        if (controller.signal.aborted) return;
+
+        files.push({ url: entry.url, ...result });
+        if (result.status === "ok") fileCount += 1;
+        else failedCount += 1;
+      }
+    }
+
+    manifest.push({ ...record, files });
+  }
+
+  archive.append(recordsToCsv(records), { name: "resources.csv" });
+  archive.append(
+    JSON.stringify(
+      {
+        ...meta,
+        exportedAt: new Date(),
+        counts: { resources: records.length, files: fileCount, failedFiles: failedCount },
+        resources: manifest,
+      },
+      null,
+      2
+    ),
+    { name: "manifest.json" }
+  );
+
+  await archive.finalize();
+};
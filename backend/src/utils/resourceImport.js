@@ -0,0 +1,316 @@
+// src/utils/resourceImport.js
+// CSV / JSON import of link resources (POST /resources/import)
+// - columns are matched to resource fields by name (case-insensitive, with a
+//   few common aliases) or by an explicit mapping
+// - departments and folders are given by slug or ID
+// - every row is validated before anything is written; the valid rows are then
+//   created one by one (one transaction each) by the import job
+
+import mongoose from "mongoose";
+import Resource from "../models/Resource.js";
+import ResourceRevision from "../models/ResourceRevision.js";
+import Department from "../models/Department.js";
+import Folder from "../models/Folder.js";
+import { checkPermission } from "./permissions.js";
+import { withTransaction } from "./transaction.js";
+import { countResource } from "./counters.js";
+import { parseCsvObjects } from "./csv.js";
+
+// Most rows a single import may hold
+export const MAX_IMPORT_ROWS = 1000;
+
+// Resource fields an import fills, with the column names recognized for each
+export const IMPORT_FIELDS = {
+  title: ["title", "name"],
+  description: ["description", "desc"],
+  url: ["url", "link", "href"],
+  linkType: ["linktype", "link type", "link_type", "platform"],
+  tags: ["tags", "tag"],
+  contributors: ["contributors", "contributor", "authors"],
+  department: ["department", "department slug", "department id"],
+  folder: ["folder", "folder slug", "folder id"],
+};
+
+const LINK_TYPES = Resource.schema.path("linkType").enumValues;
+
+// Hosts recognized when a row has no linkType
+const LINK_TYPE_HOSTS = [
+  [/(^|\.)(drive|docs)\.google\.com$/, "drive"],
+  [/(^|\.)figma\.com$/, "figma"],
+  [/(^|\.)notion\.(so|site)$/, "notion"],
+  [/(^|\.)github\.com$/, "github"],
+];
+
+const TITLE_MAX_LENGTH = Resource.schema.path("title").options.maxlength[0];
+const DESCRIPTION_MAX_LENGTH = Resource.schema.path("description").options.maxlength[0];
+
+const DENIALS = {
+  role: "Your role can't add resources",
+  scope: "You can't add resources to this department",
+};
+
+/**
+ * Read the rows of an import file
+ * @param {String} format - "csv" or "json"
+ * @param {String} content - File content
+ * @returns {{ rows?: Array<Object>, error?: String }}
+ */
+export const parseImportFile = (format, content) => {
+  if (format === "csv") {
+    return { rows: parseCsvObjects(content) };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return { error: "The file is not valid JSON" };
+  }
+
+  // A bare array, or { "resources": [...] }
+  const rows = Array.isArray(parsed) ? parsed : parsed?.resources;
+  if (!Array.isArray(rows)) {
+    return { error: 'JSON imports must be an array of objects (or { "resources": [...] })' };
+  }
+
+  return { rows };
+};
+
+/**
+ * Which column of the file feeds each field
+ * @param {Array<String>} columns - Columns (keys) present in the rows
+ * @param {Object} mapping - Explicit { field: column } (wins over names)
+ * @returns {{ columns?: Object, error?: String }} { field: column }
+ */
+export const resolveColumns = (columns, mapping = {}) => {
+  const unknownFields = Object.keys(mapping).filter((field) => !IMPORT_FIELDS[field]);
+  if (unknownFields.length > 0) {
+    return { error: `Unknown field(s) in mapping: ${unknownFields.join(", ")}` };
+  }
+
+  const missingColumns = Object.values(mapping).filter((column) => !columns.includes(column));
+  if (missingColumns.length > 0) {
+    return { error: `Column(s) not found in the file: ${missingColumns.join(", ")}` };
+  }
+
+  const resolved = {};
+  Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+    resolved[field] =
+      mapping[field] ?? columns.find((column) => aliases.includes(column.trim().toLowerCase()));
+  });
+
+  return { columns: resolved };
+};
+
+// "a, b; c" or ["a", "b"] → ["a", "b", "c"]
+const listOf = (value) => {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(/[,;]/);
+  return [...new Set(items.map((item) => String(item).trim()).filter(Boolean))];
+};
+
+const textOf = (value) => (value === undefined || value === null ? "" : String(value).trim());
+
+const linkTypeOf = (url) => {
+  const { hostname } = new URL(url);
+  return LINK_TYPE_HOSTS.find(([pattern]) => pattern.test(hostname))?.[1] || "other";
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Lookups of departments (by slug or ID) and of their folders, cached for
+ * the whole import
+ */
+const createResolver = () => {
+  const departments = new Map();
+  const folders = new Map();
+
+  const department = async (ref) => {
+    const key = ref.toLowerCase();
+    if (!departments.has(key)) {
+      const query = mongoose.Types.ObjectId.isValid(ref) ? { _id: ref } : { slug: key };
+      departments.set(key, await Department.findOne(query).select("name slug isActive"));
+    }
+    return departments.get(key);
+  };
+
+  // { folder } or { error }: slugs are only unique among siblings
+  const folder = async (ref, departmentId) => {
+    const key = departmentId.toString();
+    if (!folders.has(key)) {
+      folders.set(key, await Folder.find({ department: departmentId, isActive: true }).select("name slug"));
+    }
+    const candidates = folders.get(key);
+
+    if (mongoose.Types.ObjectId.isValid(ref)) {
+      const match = candidates.find((candidate) => candidate._id.toString() === ref);
+      if (match) return { folder: match };
+    }
+
+    const matches = candidates.filter((candidate) => candidate.slug === ref.toLowerCase());
+    if (matches.length > 1) {
+      return { error: `Folder "${ref}" is ambiguous in this department, use its ID` };
+    }
+    if (matches.length === 0) return { error: `Folder "${ref}" not found in this department` };
+    return { folder: matches[0] };
+  };
+
+  return { department, folder };
+};
+
+/**
+ * Validate the rows of an import
+ * @param {Object} options
+ * @param {Array<Object>} options.rows - Parsed rows
+ * @param {Object} options.columns - { field: column } from resolveColumns
+ * @param {Object} options.defaults - { department, folder } used when a row has none
+ * @param {Object} options.user - Authenticated user (uploader of every row)
+ * @returns {{ valid: Array<{ row, data }>, errors: Array<{ row, messages }> }}
+ */
+export const validateImportRows = async ({ rows, columns, defaults = {}, user }) => {
+  const resolve = createResolver();
+  const valid = [];
+  const errors = [];
+
+  // Links already in each department (a re-run of the same file adds nothing twice)
+  const urls = rows
+    .map((raw) => (raw && typeof raw === "object" && columns.url ? textOf(raw[columns.url]) : ""))
+    .filter(Boolean);
+  const existing = await Resource.find({ url: { $in: urls }, isActive: true }).select("url department");
+  const seen = new Set(existing.map(({ url, department }) => `${department}|${url}`));
+
+  for (const [index, raw] of rows.entries()) {
+    const row = index + 1;
+    const messages = [];
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      errors.push({ row, messages: ["Row must be an object"] });
+      continue;
+    }
+
+    const value = (field) => (columns[field] ? raw[columns[field]] : undefined);
+
+    const title = textOf(value("title"));
+    const description = textOf(value("description"));
+    const url = textOf(value("url"));
+    let linkType = textOf(value("linkType")).toLowerCase();
+    const departmentRef = textOf(value("department")) || textOf(defaults.department);
+    const folderRef = textOf(value("folder")) || textOf(defaults.folder);
+
+    if (!title) messages.push("Title is required");
+    else if (title.length > TITLE_MAX_LENGTH) {
+      messages.push(`Title cannot exceed ${TITLE_MAX_LENGTH} characters`);
+    }
+    if (description.length > DESCRIPTION_MAX_LENGTH) {
+      messages.push(`Description cannot exceed ${DESCRIPTION_MAX_LENGTH} characters`);
+    }
+
+    if (!url) messages.push("URL is required");
+    else if (!isHttpUrl(url)) messages.push("URL must be a valid http(s) link");
+
+    if (linkType && !LINK_TYPES.includes(linkType)) {
+      messages.push(`linkType must be one of: ${LINK_TYPES.join(", ")}`);
+    } else if (!linkType && isHttpUrl(url)) {
+      linkType = linkTypeOf(url);
+    }
+
+    let department = null;
+    let folder = null;
+    if (!departmentRef) {
+      messages.push("Department is required");
+    } else {
+      department = await resolve.department(departmentRef);
+      if (!department || !department.isActive) {
+        messages.push(`Department "${departmentRef}" not found`);
+        department = null;
+      }
+    }
+
+    if (department) {
+      const { allowed, reason } = checkPermission(user, "resource:create", {
+        departments: [department._id],
+      });
+      if (!allowed) messages.push(DENIALS[reason] || DENIALS.role);
+
+      if (folderRef) {
+        const found = await resolve.folder(folderRef, department._id);
+        if (found.error) messages.push(found.error);
+        folder = found.folder || null;
+      }
+
+      if (seen.has(`${department._id}|${url}`)) {
+        messages.push("This link already exists in the department");
+      }
+    }
+
+    if (messages.length > 0) {
+      errors.push({ row, messages });
+      continue;
+    }
+    // Later rows with the same link are duplicates of this one
+    seen.add(`${department._id}|${url}`);
+
+    valid.push({
+      row,
+      data: {
+        title,
+        description,
+        type: "link",
+        url,
+        linkType,
+        tags: listOf(value("tags")).map((tag) => tag.toLowerCase()),
+        contributors: listOf(value("contributors")),
+        department: department._id,
+        folder: folder ? folder._id : undefined,
+      },
+    });
+  }
+
+  return { valid, errors };
+};
+
+/**
+ * Create one validated row (like POST /resources: counted, version 1 of its history)
+ * The row is checked again against the uploader's current permissions, and a
+ * row the job already created (before a restart) is returned, not created twice.
+ * @param {Object} data - Resource data from validateImportRows
+ * @param {Object} user - Uploader, freshly loaded
+ * @param {Object} source
+ * @param {*} source.job - ImportJob ID
+ * @param {Number} source.row - Row number in the job
+ * @returns {Object} Created resource
+ */
+export const createImportedResource = async (data, user, { job, row }) => {
+  let resource = await Resource.findOne({ importJob: job, importRow: row });
+
+  if (!resource) {
+    const { allowed, reason } = checkPermission(user, "resource:create", {
+      departments: [data.department],
+    });
+    if (!allowed) throw new Error(DENIALS[reason] || DENIALS.role);
+
+    try {
+      resource = await withTransaction(async (session) => {
+        const [created] = await Resource.create(
+          [{ ...data, uploadedBy: user._id, importJob: job, importRow: row }],
+          { session }
+        );
+        await countResource(created, 1, session);
+        return created;
+      });
+    } catch (err) {
+      // Created meanwhile by another runner of the same job
+      resource = err.code === 11000 && (await Resource.findOne({ importJob: job, importRow: row }));
+      if (!resource) throw err;
+    }
+  }
+
+  await ResourceRevision.ensureBaseline(resource, user._id);
+  return resource;
+};
@@ -0,0 +1,63 @@
+// src/utils/resourceQuery.js
+// Resource filters shared by the listing (GET /resources) and bulk operations
+
+/**
+ * Check the tags filter: a comma-separated string or an array of strings
+ * (query strings like ?tags[a]=b arrive as objects)
+ * @param {*} tags - Filter value, undefined when absent
+ * @returns {Boolean}
+ */
+export const isValidTagsFilter = (tags) =>
+  tags === undefined ||
+  typeof tags === "string" ||
+  (Array.isArray(tags) && tags.every((tag) => typeof tag === "string"));
+
+/**
+ * Build a Resource query from listing filters
+ * @param {Object} filters - { department, folder, type, search, tags, uploadedBy, isActive }
+ *        ("all" or empty means no filter; tags: array or comma-separated, checked
+ *        with isValidTagsFilter first)
+ * @returns {Object} Mongo query
+ */
+export const buildResourceQuery = ({
+  department,
+  folder,
+  type,
+  search,
+  tags,
+  uploadedBy,
+  isActive,
+} = {}) => {
+  const query = {};
+
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true" || isActive === true;
+  }
+
+  if (department && department !== "all") {
+    query.department = department;
+  }
+
+  if (folder && folder !== "all") {
+    query.folder = folder;
+  }
+
+  if (type && type !== "all") {
+    query.type = type;
+  }
+
+  if (uploadedBy) {
+    query.uploadedBy = uploadedBy;
+  }
+
+  if (tags) {
+    query.tags = { $in: Array.isArray(tags) ? tags : tags.split(",") };
+  }
+
+  // Text search
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  return query;
+};
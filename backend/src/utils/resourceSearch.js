@@ -0,0 +1,384 @@
+// src/utils/resourceSearch.js
+// Faceted search of active resources (GET /resources/search)
+// - whole words are matched by the text index (ranked by text score, title
+//   first, then tags, then description); partial words ("kot" → "Kotlin") are
+//   matched by prefix on the indexed search tokens of the title, tags and
+//   contributors, and rank after them
+// - facets count the results by department, folder, type, linkType, tag, file
+//   format and uploader; each facet ignores its own filter, so a sidebar can
+//   offer the other values of a filter already selected
+// - highlights are character ranges ([start, end)) into the returned text, for
+//   the frontend to mark up
+// - matches in the text of uploaded documents (ResourceContent) are searched
+//   apart, so results found only in a file's pages can be listed on their own
+
+import mongoose from "mongoose";
+import Resource from "../models/Resource.js";
+import ResourceContent from "../models/ResourceContent.js";
+import Department from "../models/Department.js";
+import Folder from "../models/Folder.js";
+import User from "../models/User.js";
+
+// Filterable fields, each with a facet (query parameter = field name)
+export const FACET_FIELDS = [
+  "department",
+  "folder",
+  "type",
+  "linkType",
+  "tags",
+  "format",
+  "uploadedBy",
+];
+
+const OBJECT_ID_FIELDS = new Set(["department", "folder", "uploadedBy"]);
+
+// Most text matches ranked for one query (facets and pages are computed on them)
+export const MAX_SEARCH_CANDIDATES = 2000;
+
+// Values listed per facet, most frequent first
+const FACET_LIMIT = 30;
+
+// Score of a partial match, below any whole-word match of the text index
+const PARTIAL_MATCH_SCORE = 0.5;
+
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Filters of a search request (comma-separated values: any of them matches)
+ * @param {Object} query - Request query
+ * @returns {{ filters?: Object, error?: String }} { field: [values] }
+ */
+export const parseSearchFilters = (query) => {
+  const filters = {};
+
+  for (const field of FACET_FIELDS) {
+    const raw = query[field];
+    if (!raw || raw === "all") continue;
+
+    const values = [
+      ...new Set(
+        String(raw)
+          .split(",")
+          .map((value) => value.trim())
+          .filter(Boolean)
+      ),
+    ];
+    if (values.length === 0) continue;
+
+    if (OBJECT_ID_FIELDS.has(field)) {
+      if (values.some((value) => !mongoose.Types.ObjectId.isValid(value))) {
+        return { error: `Invalid ${field} ID` };
+      }
+      filters[field] = values.map((value) => new mongoose.Types.ObjectId(value));
+    } else {
+      filters[field] = field === "tags" ? values.map((value) => value.toLowerCase()) : values;
+    }
+  }
+
+  return { filters };
+};
+
+/**
+ * Words of a query that results should contain (quotes, negated words and
+ * one-letter words left out)
+ * @param {String} q - Search query
+ * @returns {Array<String>} Lower-case terms
+ */
+export const searchTerms = (q) =>
+  [
+    ...new Set(
+      String(q)
+        .toLowerCase()
+        .split(/\s+/)
+        .filter((word) => !word.startsWith("-"))
+        .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""))
+        .filter((word) => word.length > 1)
+    ),
+  ];
+
+// Search tokens starting with a term: anchored and case-sensitive (tokens and
+// terms are lower-case), so the searchTokens index is scanned by prefix
+const prefixPattern = (term) => ({ $regex: `^${escapeRegExp(term)}` });
+
+/**
+ * Resources matching a query, with their relevance
+ * @param {String} q - Search query
+ * @param {Array<String>} terms - From searchTerms
+ * @returns {{ scores: Map, capped: Boolean }} resource ID → score
+ */
+const findCandidates = async (q, terms) => {
+  const textMatches = await Resource.find(
+    { $text: { $search: q }, isActive: true },
+    { _id: 1, score: { $meta: "textScore" } }
+  )
+    .sort({ score: { $meta: "textScore" } })
+    .limit(MAX_SEARCH_CANDIDATES)
+    .lean();
+
+  const scores = new Map(textMatches.map(({ _id, score }) => [_id.toString(), score]));
+
+  // Every term, whole or partial, at a word start of the title, tags or
+  // contributors (see Resource searchTokens)
+  if (terms.length > 0 && scores.size < MAX_SEARCH_CANDIDATES) {
+    const partialMatches = await Resource.find({
+      isActive: true,
+      _id: { $nin: textMatches.map(({ _id }) => _id) },
+      $and: terms.map((term) => ({ searchTokens: prefixPattern(term) })),
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_SEARCH_CANDIDATES - scores.size)
+      .select("_id")
+      .lean();
+
+    partialMatches.forEach(({ _id }) => scores.set(_id.toString(), PARTIAL_MATCH_SCORE));
+  }
+
+  return { scores, capped: scores.size >= MAX_SEARCH_CANDIDATES };
+};
+
+// Mongo conditions of the filters, except one field
+const filterMatch = (filters, exceptField) => {
+  const match = {};
+  Object.entries(filters).forEach(([field, values]) => {
+    if (field !== exceptField) match[field] = { $in: values };
+  });
+  return match;
+};
+
+/**
+ * Names of the departments, folders and uploaders listed in facets
+ * @param {Object} facets - { field: [{ value, count }] }
+ */
+const labelFacets = async (facets) => {
+  const sources = {
+    department: [Department, "name slug"],
+    folder: [Folder, "name slug department"],
+    uploadedBy: [User, "name avatar"],
+  };
+
+  await Promise.all(
+    Object.entries(sources).map(async ([field, [Model, select]]) => {
+      const docs = await Model.find({ _id: { $in: facets[field].map(({ value }) => value) } })
+        .select(select)
+        .lean();
+      const byId = new Map(docs.map(({ _id, ...doc }) => [_id.toString(), doc]));
+
+      facets[field] = facets[field].map((bucket) => ({
+        ...bucket,
+        ...byId.get(bucket.value.toString()),
+      }));
+    })
+  );
+};
+
+/**
+ * Run a search
+ * @param {Object} options
+ * @param {String} options.q - Search query (empty: every resource, newest first)
+ * @param {Object} options.filters - From parseSearchFilters
+ * @param {Number} options.page - Page number (from 1)
+ * @param {Number} options.limit - Results per page
+ * @returns {Object} { ids (the page, ranked), scores, terms, total, facets, capped }
+ */
+export const runResourceSearch = async ({ q, filters, page, limit }) => {
+  const terms = q ? searchTerms(q) : [];
+
+  let base = { isActive: true };
+  let scores = new Map();
+  let capped = false;
+  let ranked = null;
+
+  if (q) {
+    ({ scores, capped } = await findCandidates(q, terms));
+    base = { _id: { $in: [...scores.keys()].map((id) => new mongoose.Types.ObjectId(id)) } };
+
+    // At most MAX_SEARCH_CANDIDATES: ranked here with the scores found above
+    ranked = await Resource.find({ ...base, ...filterMatch(filters) })
+      .select("createdAt")
+      .lean();
+    ranked.sort(
+      (a, b) =>
+        scores.get(b._id.toString()) - scores.get(a._id.toString()) || b.createdAt - a.createdAt
+    );
+  }
+
+  const facetPipelines = Object.fromEntries(
+    FACET_FIELDS.map((field) => [
+      field,
+      [
+        { $match: filterMatch(filters, field) },
+        ...(field === "tags" ? [{ $unwind: "$tags" }] : []),
+        { $match: { [field]: { $nin: [null, ""] } } },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT },
+        { $project: { _id: 0, value: "$_id", count: 1 } },
+      ],
+    ])
+  );
+
+  // Without a query: every resource, newest first, paged by the database
+  const listing = ranked
+    ? {}
+    : {
+        results: [
+          { $match: filterMatch(filters) },
+          { $sort: { createdAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _id: 1 } },
+        ],
+        total: [{ $match: filterMatch(filters) }, { $count: "count" }],
+      };
+
+  const [result] = await Resource.aggregate([
+    { $match: base },
+    { $facet: { ...listing, ...facetPipelines } },
+  ]);
+
+  const { results, total, ...facets } = result;
+  await labelFacets(facets);
+
+  return {
+    ids: ranked
+      ? ranked.slice((page - 1) * limit, page * limit).map(({ _id }) => _id)
+      : results.map(({ _id }) => _id),
+    scores,
+    terms,
+    total: ranked ? ranked.length : total[0]?.count || 0,
+    facets,
+    capped,
+  };
+};
+
+/**
+ * Ranges of a text where words start with one of the terms
+ * @param {String} text
+ * @param {Array<String>} terms
+ * @returns {Array<[Number, Number]>} Sorted, non-overlapping [start, end)
+ */
+const matchRanges = (text, terms) => {
+  const ranges = [];
+  terms.forEach((term) => {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(term)})`, "giu");
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index + match[1].length;
+      ranges.push([start, start + match[2].length]);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((kept, range) => {
+    const last = kept[kept.length - 1];
+    if (!last || range[0] >= last[1]) kept.push(range);
+    return kept;
+  }, []);
+};
+
+/**
+ * Part of a text around the first match
+ * @param {String} text
+ * @param {Array<String>} terms - From searchTerms
+ * @returns {{ text, highlights }}
+ */
+const snippetOf = (text, terms) => {
+  const matches = matchRanges(text, terms);
+
+  // Start a little before the first match, on a word boundary
+  let start = 0;
+  if (matches.length > 0 && matches[0][0] > SNIPPET_LENGTH / 3) {
+    start = text.lastIndexOf(" ", matches[0][0] - SNIPPET_LENGTH / 4) + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  // Line breaks of document text read as spaces (same length: offsets hold)
+  const prefix = start > 0 ? "…" : "";
+  const excerpt = text.slice(start, end).replace(/\s/g, " ");
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${excerpt}${end < text.length ? "…" : ""}`,
+    highlights: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset]),
+  };
+};
+
+/**
+ * Highlights of a result: matches in the title, and a snippet of the
+ * description around the first match
+ * @param {Object} resource - Resource
+ * @param {Array<String>} terms - From searchTerms
+ * @returns {Object} { title: [[start, end]], tags: [matching tags],
+ *          snippet: { text, highlights } | null }
+ */
+export const highlightsOf = (resource, terms) => ({
+  title: matchRanges(resource.title, terms),
+  tags: resource.tags.filter((tag) => matchRanges(tag, terms).length > 0),
+  snippet: resource.description ? snippetOf(resource.description, terms) : null,
+});
+
+/**
+ * Search the text of uploaded documents
+ * @param {Object} options
+ * @param {String} options.q - Search query
+ * @param {Object} options.filters - From parseSearchFilters (applied to the resources)
+ * @param {Number} options.limit - Most matches returned
+ * @returns {Object} { total, matches: [{ id, score, file: { url, format },
+ *          snippet: { text, highlights } }] } best first
+ */
+export const searchContent = async ({ q, filters, limit }) => {
+  const terms = searchTerms(q);
+
+  const textMatches = await ResourceContent.find(
+    { $text: { $search: q } },
+    { resource: 1, score: { $meta: "textScore" } }
+  )
+    .sort({ score: { $meta: "textScore" } })
+    .limit(MAX_SEARCH_CANDIDATES)
+    .lean();
+
+  const scores = new Map(textMatches.map(({ resource, score }) => [resource.toString(), score]));
+
+  // Hidden, trashed and filtered out resources are left out
+  const visible = await Resource.find({
+    _id: { $in: textMatches.map(({ resource }) => resource) },
+    isActive: true,
+    ...filterMatch(filters),
+  })
+    .select("_id")
+    .lean();
+
+  const ranked = visible
+    .map(({ _id }) => _id.toString())
+    .sort((a, b) => scores.get(b) - scores.get(a));
+  const top = ranked.slice(0, limit);
+
+  // Document text is only read for the matches returned
+  const contents = await ResourceContent.find({ resource: { $in: top } })
+    .select("resource files.url files.format files.text")
+    .lean();
+  const byResource = new Map(contents.map((content) => [content.resource.toString(), content]));
+
+  return {
+    total: ranked.length,
+    matches: top.map((id) => {
+      const files = (byResource.get(id)?.files || []).filter(({ text }) => text);
+
+      // The file where the terms appear most (the text index also matches
+      // other forms of a word, which may leave no exact match)
+      const [best] = files
+        .map((file) => ({ file, count: matchRanges(file.text, terms).length }))
+        .sort((a, b) => b.count - a.count);
+
+      return {
+        id,
+        score: scores.get(id),
+        file: best ? { url: best.file.url, format: best.file.format } : null,
+        snippet: best ? snippetOf(best.file.text, terms) : null,
+      };
+    }),
+  };
+};
@@ -0,0 +1,333 @@
+// src/utils/suggestions.js
+// Search-as-you-type suggestions (GET /suggestions)
+// - an in-memory trigram index of resource titles, tags, folder names and
+//   department names: any part of a word finds it ("kotl" → "Kotlin"), unlike
+//   the text index which only matches whole words
+// - candidates sharing trigrams with the query are checked word by word:
+//   prefix matches first, then up to one typo (two for long words: "flutr" →
+//   "Flutter")
+// - each API process keeps its own index, rebuilt from the database when it is
+//   older than SUGGESTIONS_REFRESH_SECONDS (requests keep using the previous
+//   one meanwhile)
+
+import Resource from "../models/Resource.js";
+import Folder from "../models/Folder.js";
+import Department from "../models/Department.js";
+
+export const SUGGESTION_TYPES = ["resource", "folder", "department", "tag"];
+
+const REFRESH_MS = (parseFloat(process.env.SUGGESTIONS_REFRESH_SECONDS) || 60) * 1000;
+
+// Ties between equally good matches: departments and folders, then tags, then resources
+const TYPE_BONUS = { department: 3, folder: 2, tag: 1, resource: 0 };
+
+// Lower case without accents ("Édition" → "edition")
+const normalize = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const wordsOf = (text) => normalize(text).match(WORD) || [];
+
+// Trigrams of a word, padded so its first letters make grams of their own
+const gramsOf = (word) => {
+  const padded = `  ${word}`;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Typos allowed in a query word of this length
+const allowedTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * Edit distance (insertions, deletions, substitutions, swaps of two letters),
+ * or max + 1 as soon as it exceeds max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * How well an indexed word matches a (possibly unfinished) query word
+ * @returns {Number|null} Typos needed (0: the word starts with the query), null if too many
+ */
+const wordCost = (query, word) => {
+  if (word.startsWith(query)) return 0;
+
+  const max = allowedTypos(query.length);
+  if (max === 0) return null;
+
+  // The query is the beginning of a word, possibly one letter more or less
+  let best = max + 1;
+  for (const length of [query.length - 1, query.length, query.length + 1, word.length]) {
+    if (length < 1 || length > word.length) continue;
+    best = Math.min(best, editDistance(query, word.slice(0, length), max));
+  }
+  return best <= max ? best : null;
+};
+
+// ============================================
+// Index
+// ============================================
+
+let index = null;
+let building = null;
+
+/**
+ * Read everything suggestions can point to
+ * @returns {Array} Entries: { type, id, label, subtitle, weight, extra, words }
+ */
+const loadEntries = async () => {
+  const [departments, folders, resources, tags] = await Promise.all([
+    Department.find({ isActive: true }).select("name slug resourceCount").lean(),
+    Folder.find({ isActive: true }).select("name slug department resourceCount").lean(),
+    Resource.find({ isActive: true })
+      .select("title type department folder views downloads")
+      .lean(),
+    Resource.aggregate([
+      { $match: { isActive: true } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const departmentNames = new Map(departments.map(({ _id, name }) => [_id.toString(), name]));
+
+  return [
+    ...departments.map(({ _id, name, slug, resourceCount }) => ({
+      type: "department",
+      id: _id,
+      label: name,
+      weight: resourceCount || 0,
+      extra: { slug },
+    })),
+    ...folders.map(({ _id, name, slug, department, resourceCount }) => ({
+      type: "folder",
+      id: _id,
+      label: name,
+      subtitle: departmentNames.get(department.toString()),
+      weight: resourceCount || 0,
+      extra: { slug, department },
+    })),
+    ...resources.map(({ _id, title, type, department, folder, views, downloads }) => ({
+      type: "resource",
+      id: _id,
+      label: title,
+      subtitle: departmentNames.get(department.toString()),
+      weight: (views || 0) + 2 * (downloads || 0),
+      extra: { resourceType: type, department, folder: folder || null },
+    })),
+    ...tags.map(({ _id, count }) => ({
+      type: "tag",
+      id: null,
+      label: _id,
+      weight: count,
+      extra: {},
+    })),
+  ].map((entry) => ({ ...entry, words: wordsOf(entry.label) }));
+};
+
+/**
+ * Build the index from the database
+ */
+const buildIndex = async () => {
+  const entries = await loadEntries();
+  const grams = new Map();
+
+  entries.forEach((entry, position) => {
+    const entryGrams = new Set(entry.words.flatMap((word) => [...gramsOf(word)]));
+    entryGrams.forEach((gram) => {
+      if (!grams.has(gram)) grams.set(gram, []);
+      grams.get(gram).push(position);
+    });
+  });
+
+  index = { entries, grams, builtAt: Date.now() };
+  return index;
+};
+
+/**
+ * Current index: built on first use, refreshed in the background once stale
+ */
+const getIndex = async () => {
+  const stale = !index || Date.now() - index.builtAt > REFRESH_MS;
+
+  if (stale && !building) {
+    building = buildIndex()
+      .catch((err) => {
+        console.error("❌ Could not build the suggestion index:", err.message);
+        if (!index) throw err;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return index || building;
+};
+
+/**
+ * Rebuild the index on the next request (e.g. right after an import)
+ */
+export const invalidateSuggestions = () => {
+  if (index) index.builtAt = 0;
+};
+
+// ============================================
+// Query
+// ============================================
+
+/**
+ * Ranges of the words of a label matched by the query
+ * @returns {Array<[Number, Number]>} [start, end) in the label
+ */
+const highlightRanges = (label, matchedWords) => {
+  const ranges = [];
+  let position = 0;
+  for (const match of label.matchAll(WORD)) {
+    const length = matchedWords.get(position);
+    if (length) ranges.push([match.index, match.index + Math.min(length, match[0].length)]);
+    position += 1;
+  }
+  return ranges;
+};
+
+/**
+ * Suggestions for what the user is typing
+ * @param {String} q - Query (one or more words, the last one possibly unfinished)
+ * @param {Object} options
+ * @param {Number} options.limit - Most suggestions returned
+ * @param {Array<String>} options.types - Kinds of suggestions (SUGGESTION_TYPES)
+ * @returns {Array} [{ type, id, label, subtitle, score, typos, highlights, ...extra }]
+ */
+export const suggest = async (q, { limit = 8, types = SUGGESTION_TYPES } = {}) => {
+  const queryWords = wordsOf(q);
+  if (queryWords.length === 0) return [];
+
+  const { entries, grams } = await getIndex();
+
+  // Candidates: entries sharing enough trigrams with the longest query word
+  // (each typo changes at most 3 of them)
+  const longest = queryWords.reduce((a, b) => (b.length > a.length ? b : a));
+  const longestGrams = gramsOf(longest);
+  const minShared = Math.max(1, longestGrams.size - 3 * allowedTypos(longest.length));
+
+  const shared = new Map();
+  longestGrams.forEach((gram) =>
+    (grams.get(gram) || []).forEach((i) => shared.set(i, (shared.get(i) || 0) + 1))
+  );
+
+  // Many entries share words: compare each word once
+  const costs = new Map();
+  const costOf = (queryWord, word) => {
+    const key = `${queryWord} ${word}`;
+    if (!costs.has(key)) costs.set(key, wordCost(queryWord, word));
+    return costs.get(key);
+  };
+
+  const scored = [];
+  for (const [position, count] of shared) {
+    const entry = entries[position];
+    if (count < minShared || !types.includes(entry.type)) continue;
+
+    // Every query word must match a word of the entry
+    let typos = 0;
+    let exactWords = 0;
+    const matchedWords = new Map();
+    const matched = queryWords.every((queryWord) => {
+      let best = null;
+      let bestIndex = -1;
+      entry.words.forEach((word, wordIndex) => {
+        if (matchedWords.has(wordIndex)) return;
+        const cost = costOf(queryWord, word);
+        if (cost !== null && (best === null || cost < best)) {
+          best = cost;
+          bestIndex = wordIndex;
+        }
+      });
+      if (best === null) return false;
+
+      typos += best;
+      if (entry.words[bestIndex] === queryWord) exactWords += 1;
+      matchedWords.set(bestIndex, queryWord.length);
+      return true;
+    });
+    if (!matched) continue;
+
+    const score =
+      100 -
+      typos * 25 +
+      exactWords * 5 +
+      (matchedWords.has(0) ? 10 : 0) +
+      TYPE_BONUS[entry.type] +
+      Math.log1p(entry.weight) * 2 -
+      entry.words.length;
+
+    scored.push({ entry, score, typos, matchedWords });
+  }
+
+  scored.sort((a, b) => b.score - a.score || a.entry.label.length - b.entry.label.length);
+
+  // Mixed suggestions: no kind takes more than half the list while others
+  // have matches, and the same label is listed once per kind and department
+  const perType = types.length > 1 ? Math.ceil(limit / 2) : limit;
+  const picked = [];
+  const overflow = [];
+  const seen = new Set();
+  const taken = {};
+
+  for (const item of scored) {
+    const key = [item.entry.type, normalize(item.entry.label), item.entry.subtitle].join("|");
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    if ((taken[item.entry.type] || 0) < perType) {
+      taken[item.entry.type] = (taken[item.entry.type] || 0) + 1;
+      picked.push(item);
+    } else {
+      overflow.push(item);
+    }
+    if (picked.length >= limit) break;
+  }
+
+  return [...picked, ...overflow]
+    .slice(0, limit)
+    .sort((a, b) => b.score - a.score)
+    .map(({ entry, score, typos, matchedWords }) => ({
+      type: entry.type,
+      id: entry.id,
+      label: entry.label,
+      subtitle: entry.subtitle || null,
+      ...entry.extra,
+      score: Math.round(score * 10) / 10,
+      typos,
+      highlights: highlightRanges(entry.label, matchedWords),
+    }));
+};
@@ -2,20 +2,26 @@
 // JWT token generation utilities
 
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+
+// Lifetimes of the access / refresh token pair
+export const ACCESS_TOKEN_EXPIRE = "15m";
+export const REFRESH_TOKEN_EXPIRE = "30d";
 
 /**
  * Generate JWT token
  * @param {String} userId - User ID to encode in token
  * @param {String} role - User role to encode (visitor, member, comanager)
  * @param {String} expiresIn - Token expiration (default: 7d)
+ * @param {Object} claims - Extra claims to encode (e.g. sid, type)
  * @returns {String} JWT token
  */
-export const generateToken = (userId, role, expiresIn = "7d") => {
+export const generateToken = (userId, role, expiresIn = "7d", claims = {}) => {
   if (!process.env.JWT_SECRET) {
     throw new Error("JWT_SECRET is not defined in environment variables");
   }
 
-  return jwt.sign({ id: userId, role }, process.env.JWT_SECRET, {
+  return jwt.sign({ ...claims, id: userId, role }, process.env.JWT_SECRET, {
     expiresIn: expiresIn || process.env.JWT_EXPIRE || "7d",
   });
 };
@@ -24,11 +30,20 @@ export const generateToken = (userId, role, expiresIn = "7d") => {
  * Generate access and refresh tokens
  * @param {String} userId - User ID
  * @param {String} role - User role
+ * @param {String} sessionId - Session the pair belongs to
  * @returns {Object} { accessToken, refreshToken }
  */
-export const generateTokenPair = (userId, role) => {
-  const accessToken = generateToken(userId, role, "15m"); // Short-lived access token
-  const refreshToken = generateToken(userId, role, "30d"); // Long-lived refresh token
+export const generateTokenPair = (userId, role, sessionId) => {
+  const sid = sessionId?.toString();
+
+  // Short-lived access token
+  const accessToken = generateToken(userId, role, ACCESS_TOKEN_EXPIRE, { sid });
+  // Long-lived refresh token (unique jti so every rotation yields a new token)
+  const refreshToken = generateToken(userId, role, REFRESH_TOKEN_EXPIRE, {
+    sid,
+    type: "refresh",
+    jti: crypto.randomUUID(),
+  });
 
   return {
     accessToken,
@@ -36,6 +51,30 @@ export const generateTokenPair = (userId, role) => {
   };
 };
 
+/**
+ * Generate a signed email verification token
+ * Bound to the address so that changing email invalidates older links
+ * @param {String} userId - User ID
+ * @param {String} email - Address being verified
+ * @returns {String} JWT token (valid 24h)
+ */
+export const generateEmailVerificationToken = (userId, email) => {
+  return generateToken(userId, undefined, "24h", {
+    email,
+    type: "email-verification",
+  });
+};
+
+/**
+ * Generate a short-lived token proving the password step of a 2FA login
+ * @param {String} userId - User ID
+ * @param {String} role - User role
+ * @returns {String} JWT token (valid 5 minutes)
+ */
+export const generateTwoFactorChallengeToken = (userId, role) => {
+  return generateToken(userId, role, "5m", { type: "2fa-challenge" });
+};
+
 /**
  * Verify JWT token
  * @param {String} token - JWT token to verify
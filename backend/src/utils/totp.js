@@ -0,0 +1,168 @@
+// src/utils/totp.js
+// Time-based one-time passwords (RFC 4226 HOTP / RFC 6238 TOTP)
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Defaults used by authenticator apps (Google Authenticator, Authy...)
+export const TOTP_DEFAULTS = {
+  step: 30, // seconds
+  digits: 6,
+  algorithm: "sha1",
+};
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {Number} size - Number of random bytes (default: 20, i.e. 160 bits)
+ * @returns {String} Base32 secret
+ */
+export const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * HMAC-based one-time password (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {Number} counter - Moving factor
+ * @param {Object} options - { digits, algorithm }
+ * @returns {String} Zero-padded code
+ */
+export const hotp = (key, counter, { digits = 6, algorithm = "sha1" } = {}) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, "0");
+};
+
+/**
+ * Time step (counter) for a given time
+ * @param {Number} time - Unix time in milliseconds (default: now)
+ * @param {Number} step - Step size in seconds
+ * @returns {Number} Time step
+ */
+export const timeStep = (time = Date.now(), step = TOTP_DEFAULTS.step) =>
+  Math.floor(time / 1000 / step);
+
+/**
+ * Time-based one-time password (RFC 6238)
+ * @param {String|Buffer} secret - Base32 secret or raw key
+ * @param {Object} options - { time, step, digits, algorithm }
+ * @returns {String} Code for the given time
+ */
+export const totp = (secret, options = {}) => {
+  const { time = Date.now(), step, digits, algorithm } = { ...TOTP_DEFAULTS, ...options };
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+
+  return hotp(key, timeStep(time, step), { digits, algorithm });
+};
+
+/**
+ * Verify a TOTP code, tolerating clock drift of `window` steps
+ * @param {String} code - Code entered by the user
+ * @param {String|Buffer} secret - Base32 secret or raw key
+ * @param {Object} options - { time, window, step, digits, algorithm }
+ * @returns {Number|null} Matching time step, or null if invalid
+ */
+export const verifyTotp = (code, secret, options = {}) => {
+  const { time = Date.now(), window = 1, step, digits, algorithm } = {
+    ...TOTP_DEFAULTS,
+    ...options,
+  };
+
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== digits) return null;
+
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const current = timeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, current + offset, { digits, algorithm });
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (QR code content)
+ * @param {Object} params - { secret, label, issuer }
+ * @returns {String} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, label, issuer = "GDG Resource Hub" }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_DEFAULTS.algorithm.toUpperCase(),
+    digits: TOTP_DEFAULTS.digits.toString(),
+    period: TOTP_DEFAULTS.step.toString(),
+  });
+
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params}`;
+};
@@ -0,0 +1,60 @@
+// src/utils/transaction.js
+// MongoDB transactions (require a replica set, e.g. MongoDB Atlas)
+// - on a standalone server (the default local setup) work runs without a
+//   transaction: each write still succeeds, but a failure halfway leaves the
+//   earlier writes in place (counters are fixed by the reconciliation job)
+
+import mongoose from "mongoose";
+
+let supported = null;
+
+/**
+ * Whether the connected deployment runs transactions (replica set or sharded cluster)
+ * @returns {Promise<Boolean>}
+ */
+const transactionsSupported = () => {
+  if (!supported) {
+    supported = mongoose.connection.db
+      .admin()
+      .command({ hello: 1 })
+      .then(({ setName, msg }) => {
+        const ok = Boolean(setName) || msg === "isdbgrid";
+        if (!ok) {
+          console.warn(
+            "⚠️ MongoDB is not a replica set: writes run without transactions (see README)"
+          );
+        }
+        return ok;
+      })
+      .catch((err) => {
+        // Asked again next time
+        supported = null;
+        throw err;
+      });
+  }
+  return supported;
+};
+
+/**
+ * Run work inside a transaction, retried by the driver on transient errors
+ * @param {Function} work - async (session) => result; pass { session } to every query
+ *                          (session is undefined when transactions are not supported)
+ * @returns {*} Result of work
+ */
+export const withTransaction = async (work) => {
+  if (!(await transactionsSupported())) {
+    return work(undefined);
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
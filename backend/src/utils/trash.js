@@ -0,0 +1,161 @@
+// src/utils/trash.js
+// Resource trash bin: soft-deleted resources (isActive = false) stay restorable
+// for TRASH_RETENTION_DAYS, then they are purged with their Cloudinary files.
+// Archived resources (archiveBatch set, see utils/archive.js) are not in the trash.
+
+import Resource from "../models/Resource.js";
+import ResourceRevision from "../models/ResourceRevision.js";
+import ResourceContent from "../models/ResourceContent.js";
+import Department from "../models/Department.js";
+import Folder from "../models/Folder.js";
+import { destroyAssets } from "./cloudinaryAssets.js";
+import { withTransaction } from "./transaction.js";
+import { countResource } from "./counters.js";
+
+// Days a trashed resource is kept before the purge job removes it (0 = never;
+// unset or not a number = 30)
+const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS);
+export const TRASH_RETENTION_DAYS = Number.isFinite(retentionDays) ? retentionDays : 30;
+
+/**
+ * Date after which a trashed resource is auto-purged
+ * @param {Object} resource - Trashed resource
+ * @returns {Date|null}
+ */
+export const purgeDateOf = (resource) => {
+  if (TRASH_RETENTION_DAYS <= 0) return null;
+  const deletedAt = resource.deletedAt || resource.updatedAt;
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Move an active resource to the trash
+ * @param {Object} resource - Active resource
+ * @param {*} userId - User deleting it
+ */
+export const trashResource = (resource, userId) =>
+  withTransaction(async (session) => {
+    resource.isActive = false;
+    resource.deletedAt = new Date();
+    resource.deletedBy = userId;
+    await resource.save({ session });
+    await countResource(resource, -1, session);
+  });
+
+/**
+ * Take a resource out of the trash (a folder deleted in the meantime is dropped)
+ * @param {Object} resource - Trashed resource
+ * @returns {{ restored: Boolean, folderDropped: Boolean, reason: String|undefined }}
+ */
+export const restoreFromTrash = async (resource) => {
+  const department = await Department.findById(resource.department).select("isActive");
+  if (!department || !department.isActive) {
+    return {
+      restored: false,
+      folderDropped: false,
+      reason: "The department of this resource no longer exists",
+    };
+  }
+
+  const folderDropped =
+    !!resource.folder && !(await Folder.exists({ _id: resource.folder, isActive: true }));
+  if (folderDropped) {
+    resource.folder = null;
+  }
+
+  resource.isActive = true;
+  resource.deletedAt = undefined;
+  resource.deletedBy = undefined;
+  await withTransaction(async (session) => {
+    await resource.save({ session });
+    await countResource(resource, 1, session);
+  });
+
+  return { restored: true, folderDropped };
+};
+
+/**
+ * Cloudinary IDs owned by a resource: main file, embedded files[] and
+ * every file its revisions kept
+ * @param {Object} resource - Resource document
+ * @returns {Array<String>}
+ */
+const assetsOf = async (resource) => {
+  const revisions = await ResourceRevision.find({ resource: resource._id }).select(
+    "publicId files.publicId"
+  );
+
+  const ids = [resource, ...revisions].flatMap((doc) => [
+    doc.publicId,
+    ...(doc.files || []).map((file) => file.publicId),
+  ]);
+
+  return [...new Set(ids.filter(Boolean))];
+};
+
+/**
+ * Permanently delete a resource, its revisions and its Cloudinary files
+ * Files still referenced by another resource (e.g. a copy) are kept. If a
+ * file can't be deleted the resource stays in the trash so it can be retried.
+ * @param {Object} resource - Trashed resource
+ * @returns {{ purged: Boolean, assets: Object }}
+ */
+export const purgeResource = async (resource) => {
+  const publicIds = await assetsOf(resource);
+
+  const shared = [];
+  for (const publicId of publicIds) {
+    const usedElsewhere = { $or: [{ publicId }, { "files.publicId": publicId }] };
+    const [otherResource, otherRevision] = await Promise.all([
+      Resource.exists({ _id: { $ne: resource._id }, ...usedElsewhere }),
+      ResourceRevision.exists({ resource: { $ne: resource._id }, ...usedElsewhere }),
+    ]);
+    if (otherResource || otherRevision) shared.push(publicId);
+  }
+
+  const assets = await destroyAssets(publicIds.filter((id) => !shared.includes(id)));
+  assets.shared = shared.length;
+
+  if (assets.failed.length > 0) {
+    return { purged: false, assets };
+  }
+
+  await ResourceRevision.deleteMany({ resource: resource._id });
+  await ResourceContent.deleteOne({ resource: resource._id });
+  await resource.deleteOne();
+
+  return { purged: true, assets };
+};
+
+/**
+ * Purge every resource trashed for longer than the retention period
+ * @returns {{ purged: Number, failed: Number }}
+ */
+export const purgeExpiredTrash = async () => {
+  const report = { purged: 0, failed: 0 };
+  if (TRASH_RETENTION_DAYS <= 0) return report;
+
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  // Resources deleted before deletedAt existed fall back to updatedAt
+  const expired = Resource.find({
+    isActive: false,
+    archiveBatch: null,
+    $or: [
+      { deletedAt: { $lte: cutoff } },
+      { deletedAt: null, updatedAt: { $lte: cutoff } },
+    ],
+  }).cursor();
+
+  for await (const resource of expired) {
+    try {
+      const { purged } = await purgeResource(resource);
+      report[purged ? "purged" : "failed"] += 1;
+    } catch (err) {
+      console.error(`Purge of resource ${resource._id} failed:`, err.message);
+      report.failed += 1;
+    }
+  }
+
+  return report;
+};